@@ -1,92 +1,73 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
-import { io } from "socket.io-client";
 import Header from "./components/Header.jsx";
 import LiveCounter from "./components/LiveCounter.jsx";
 import EventsBarChart from "./components/EventsBarChart.jsx";
 import EventsTable from "./components/EventsTable.jsx";
-import { getEvents, createEvent, getApiBaseUrl, getSocketUrl } from "./api.js";
+import { getEvents, getTotalEvents, createEvent } from "./api.js";
+import { getEnvDiagnostics } from "./config.js";
+import { generateEvent } from "./eventGenerator.js";
 import { getStoredUser } from "./auth.js";
+import { useSocketEvent, useReconnect } from "./realtime.jsx";
 
 /**
  * PUBLIC_INTERFACE
  * App
  * This is the main application component that:
- * - fetches initial events from /api/events
- * - connects to Socket.io to listen for 'new_event' messages
+ * - fetches the 10 latest events from /api/events and the all-time total from the
+ *   total events metric (refetched after a socket reconnect)
+ * - listens for 'new_event' messages on the shared Socket.io connection
  * - maintains local state for events and total count
  * - provides a "Generate Test Event" button to POST /api/events
+ * Mounted at /live.
  */
 export default function App() {
   const [events, setEvents] = useState([]);
   const [total, setTotal] = useState(0);
-  const socketRef = useRef(null);
+  const [syncKey, setSyncKey] = useState(0);
+  // Live events counted since the total request started; added to its response
+  const sinceTotalRef = useRef(0);
 
-  // Fetch initial events on mount
+  // Fetch initial events and the total on mount, and again after a socket reconnect
+  useReconnect(() => setSyncKey((k) => k + 1));
   useEffect(() => {
     let active = true;
     (async () => {
       try {
-        const initial = await getEvents();
+        const res = await getEvents({ sort: "timestamp", order: "desc", limit: 10 });
+        const initial = Array.isArray(res) ? res : res?.items || [];
         // Ensure newest first, cap to 10
         const sorted = [...initial].sort(
           (a, b) => new Date(b.timestamp) - new Date(a.timestamp)
         );
-        const capped = sorted.slice(0, 10);
-        if (active) {
-          setEvents(capped);
-          setTotal(capped.length);
-        }
+        if (active) setEvents(sorted.slice(0, 10));
       } catch (err) {
         console.warn("Failed to fetch initial events", err);
       }
     })();
+    sinceTotalRef.current = 0;
+    (async () => {
+      try {
+        const res = await getTotalEvents();
+        if (active) setTotal(Number(res?.total || 0) + sinceTotalRef.current);
+      } catch (err) {
+        console.warn("Failed to fetch total events", err);
+      }
+    })();
 
     return () => {
       active = false;
     };
-  }, []);
-
-  // Setup Socket.io connection
-  useEffect(() => {
-    const socketURL = getSocketUrl(); // VITE_SOCKET_URL or same-origin
-    try {
-      const s = io(socketURL, {
-        path: "/socket.io", // default Socket.io path; backend should use same
-        transports: ["websocket", "polling"],
-        withCredentials: true,
-      });
-      socketRef.current = s;
-
-      s.on("connect", () => {
-        // Connected
-      });
+  }, [syncKey]);
 
-      s.on("new_event", (evt) => {
-        // Prepend newest, cap to 10, increment total
-        setEvents((prev) => {
-          const next = [evt, ...prev];
-          return next.slice(0, 10);
-        });
-        setTotal((t) => t + 1);
-      });
-
-      s.on("connect_error", (err) => {
-        console.warn("Socket connect_error", err.message);
-      });
-
-      return () => {
-        try {
-          s.removeAllListeners();
-          s.disconnect();
-        } catch (_) {
-          // ignore
-        }
-      };
-    } catch (err) {
-      console.warn("Failed to initialize socket", err);
-      return () => {};
-    }
-  }, []);
+  // Live events via the shared socket: prepend newest, cap to 10, increment total
+  useSocketEvent("new_event", (evt) => {
+    setEvents((prev) => {
+      const next = [evt, ...prev];
+      return next.slice(0, 10);
+    });
+    setTotal((t) => t + 1);
+    sinceTotalRef.current += 1;
+  });
 
   // Chart data: group by event_type counts from current events
   const chartData = useMemo(() => {
@@ -101,33 +82,25 @@ export default function App() {
     }));
   }, [events]);
 
+  // One random click/view/signup; admins get the full generator at /admin/generator
   const handleGenerate = async () => {
-    const types = ["click", "view", "signup"];
-    const randType = types[Math.floor(Math.random() * types.length)];
-    const username = `user${Math.floor(Math.random() * 1000)}`;
-    const payload = {
-      username,
-      event_type: randType,
-      timestamp: new Date().toISOString(),
-    };
     try {
-      await createEvent(payload);
+      await createEvent(generateEvent());
       // rely on 'new_event' from socket to update UI
     } catch (err) {
       console.warn("Failed to create test event", err);
     }
   };
 
-  const apiBase = getApiBaseUrl();
-  const socketBase = getSocketUrl();
+  const diagnostics = getEnvDiagnostics();
 
   const currentUser = getStoredUser();
   return (
     <div className="app-container">
-      <Header title="Real-time Analytics Dashboard" subtitle="Live user events stream" />
+      <Header title="Live Summary" subtitle="Event total and the latest events" />
       <div className="meta">
-        <span className="meta-item">API: {apiBase || "same-origin"}</span>
-        <span className="meta-item">Socket: {socketBase || "same-origin"}</span>
+        <span className="meta-item" title={`Source: ${diagnostics.backendSource}`}>API: {diagnostics.backend}</span>
+        <span className="meta-item" title={`Source: ${diagnostics.socketSource}`}>Socket: {diagnostics.socket}</span>
         {currentUser ? (
           <span className="meta-item">Signed in as: {currentUser.username || currentUser.email}</span>
         ) : null}
@@ -1,126 +1,78 @@
-const defaultBase = "";
-// Guard window access for Node lint/build environments
-const defaultSocket =
-  typeof globalThis !== "undefined" && typeof globalThis.window !== "undefined"
-    ? globalThis.window.location.origin
-    : "";
+import { apiDelete, apiGet, apiPatch, apiPost, apiPut } from "./apiClient.js";
+import { queryKey, writeQuery } from "./queryCache.js";
+import { timeRangeQuery } from "./utils/timeRange.js";
 
 /**
  * PUBLIC_INTERFACE
- * getApiBaseUrl
- * Resolves the REST API base URL from env or falls back to same origin.
+ * METRICS
+ * Metrics endpoints. Responses of the metrics getters below are written to the
+ * query cache under queryKey(METRICS.x, params) for stale-while-revalidate rendering.
  */
-export function getApiBaseUrl() {
-  const env = import.meta?.env;
-  const base = env?.VITE_API_BASE_URL ?? defaultBase;
-  return base || defaultBase;
+export const METRICS = Object.freeze({
+  usersAnsweredToday: "/api/metrics/users-answered-today",
+  eventHeatmap: "/api/metrics/event-heatmap",
+  eventTypes: "/api/metrics/event-types",
+  signupsPerDay: "/api/metrics/signups-per-day",
+  activeUsers: "/api/metrics/active-users",
+  totalEvents: "/api/metrics/total-events",
+  recentActivity: "/api/metrics/recent-activity",
+});
+
+/**
+ * PUBLIC_INTERFACE
+ * metricsQuery
+ * Query params a metrics getter sends for options.timeRange / options.granularity
+ * (see utils/timeRange.js) and options.timezone (`tz`, an IANA name the endpoint buckets
+ * days, hours and "today" in); its response is cached under queryKey(endpoint, these params).
+ * Without a time range each endpoint applies its own default period.
+ */
+export function metricsQuery(endpoint, options = {}) {
+  const query = timeRangeQuery(options.timeRange, options.granularity);
+  if (options.timezone) query.tz = options.timezone;
+  // Backends predating `range` know the active users window as `window`
+  if (endpoint === METRICS.activeUsers && query.range) query.window = query.range;
+  return query;
+}
+
+// GET a metrics endpoint and cache the response under its endpoint + params key
+async function getMetric(endpoint, options = {}) {
+  const query = metricsQuery(endpoint, options);
+  const data = await apiGet(endpoint, { query, signal: options.signal, auth: options.auth });
+  writeQuery(queryKey(endpoint, query), data);
+  return data;
 }
 
 /**
  * PUBLIC_INTERFACE
  * getUsersAnsweredToday
- * Returns { total: number, series: [{ time: ISOString, value: number }], timezone: 'UTC' }.
+ * Returns { total: number, series: [{ time: ISOString, value: number }], timezone: string }
+ * for today, or for options.timeRange when given.
+ * Metrics getters accept an options object: `timeRange`, `granularity` and `timezone`
+ * select the period, bucket size and timezone (see metricsQuery), `signal` aborts the
+ * request and `auth` selects the credentials (see request() in apiClient.js).
  */
-export async function getUsersAnsweredToday() {
-  const base = getApiBaseUrl();
-  const url = `${base}/api/metrics/users-answered-today`;
-  const res = await authorizedFetch(url, { method: "GET" });
-  if (!res.ok) throw new Error(`getUsersAnsweredToday failed: ${res.status}`);
-  return res.json();
+export async function getUsersAnsweredToday(options = {}) {
+  return getMetric(METRICS.usersAnsweredToday, options);
 }
 
 /**
  * PUBLIC_INTERFACE
  * getEventHeatmap
- * Returns { timezone: 'UTC', buckets: [{ hour: number, dow: number, count: number }], last24h: boolean }.
- * Accepts optional range param: '24h' | '7d' (default 7d).
- */
-export async function getEventHeatmap(range = "7d") {
-  const base = getApiBaseUrl();
-  const url = `${base}/api/metrics/event-heatmap?range=${encodeURIComponent(range)}`;
-  const res = await authorizedFetch(url, { method: "GET" });
-  if (!res.ok) throw new Error(`getEventHeatmap failed: ${res.status}`);
-  return res.json();
-}
-
-/**
- * PUBLIC_INTERFACE
- * getSocketUrl
- * Resolves the Socket.io server URL from env or falls back to same origin.
- */
-export function getSocketUrl() {
-  const env = import.meta?.env;
-  const base = env?.VITE_SOCKET_URL ?? defaultSocket;
-  return base || defaultSocket;
-}
-
-/**
- * PUBLIC_INTERFACE
- * authorizedFetch
- * A thin wrapper that attaches Authorization header if auth.js provides a token.
- */
-export async function authorizedFetch(url, options = {}) {
-  let headers = { ...(options.headers || {}), "Content-Type": "application/json" };
-
-  // Decide which token to attach based on URL path without referencing global URL/window
-  try {
-    // Extract pathname safely from absolute or relative URL
-    let pathname = "";
-    if (typeof url === "string") {
-      if (url.startsWith("http://") || url.startsWith("https://")) {
-        // Absolute URL: find the first slash after protocol and hostname
-        // e.g., https://host:port/path?query -> extract /path...
-        const idxProto = url.indexOf("://");
-        if (idxProto !== -1) {
-          const afterProto = url.slice(idxProto + 3);
-          const slashIdx = afterProto.indexOf("/");
-          if (slashIdx !== -1) {
-            pathname = afterProto.slice(slashIdx);
-          } else {
-            pathname = "/";
-          }
-        }
-      } else {
-        // Relative URL: ensure it begins with /
-        pathname = url.startsWith("/") ? url : `/${url}`;
-      }
-    }
-
-    if (pathname.startsWith("/api/admin")) {
-      const adminMod = await import("./adminAuth.js");
-      const aToken = adminMod.getAdminToken?.();
-      if (aToken) {
-        headers = { ...headers, Authorization: `Bearer ${aToken}` };
-      }
-    } else {
-      const userMod = await import("./auth.js");
-      const uToken = userMod.getToken?.();
-      if (uToken) {
-        headers = { ...headers, Authorization: `Bearer ${uToken}` };
-      }
-    }
-  } catch {
-    // ignore
-  }
-
-  const f = typeof globalThis !== "undefined" && globalThis.fetch ? globalThis.fetch : null;
-  if (!f) throw new Error("fetch is not available in this environment");
-  return f(url, { credentials: "include", ...options, headers });
+ * Returns { timezone: string, buckets: [{ hour: number, dow: number, count: number }] },
+ * events bucketed by day of week and hour in `timezone` (backend default range: 7d).
+ */
+export async function getEventHeatmap(options = {}) {
+  return getMetric(METRICS.eventHeatmap, options);
 }
 
 /**
  * PUBLIC_INTERFACE
  * getEvents
- * Fetches the latest events from GET /api/events.
+ * Fetches the latest events from GET /api/events, narrowed by the optional query params
+ * (see eventsQuery in eventFilters.js). options: { signal }.
  */
-export async function getEvents() {
-  const base = getApiBaseUrl();
-  const url = `${base}/api/events`;
-  const res = await authorizedFetch(url, {});
-  if (!res.ok) {
-    throw new Error(`getEvents failed: ${res.status}`);
-  }
-  return res.json();
+export async function getEvents(query = {}, options = {}) {
+  return apiGet("/api/events", { query, signal: options.signal });
 }
 
 /**
@@ -129,16 +81,7 @@ export async function getEvents() {
  * Creates a new event via POST /api/events.
  */
 export async function createEvent(payload) {
-  const base = getApiBaseUrl();
-  const url = `${base}/api/events`;
-  const res = await authorizedFetch(url, {
-    method: "POST",
-    body: JSON.stringify(payload),
-  });
-  if (!res.ok) {
-    throw new Error(`createEvent failed: ${res.status}`);
-  }
-  return res.json();
+  return apiPost("/api/events", payload);
 }
 
 /**
@@ -147,13 +90,17 @@ export async function createEvent(payload) {
  * Fetches public MCQ questions from GET /api/questions.
  */
 export async function getQuestions() {
-  const base = getApiBaseUrl();
-  const url = `${base}/api/questions`;
-  const res = await authorizedFetch(url, { method: "GET" });
-  if (!res.ok) {
-    throw new Error(`getQuestions failed: ${res.status}`);
-  }
-  return res.json();
+  return apiGet("/api/questions");
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * createQuestion
+ * Creates an MCQ via POST /api/questions (requires the questions:manage permission).
+ * Payload: { text, options: [{ text, key }], correctOptionIndex }.
+ */
+export async function createQuestion(payload) {
+  return apiPost("/api/questions", payload);
 }
 
 /**
@@ -162,17 +109,7 @@ export async function getQuestions() {
  * Submits an answer via POST /api/answers.
  */
 export async function submitAnswer(payload) {
-  const base = getApiBaseUrl();
-  const url = `${base}/api/answers`;
-  const res = await authorizedFetch(url, {
-    method: "POST",
-    body: JSON.stringify(payload),
-  });
-  if (!res.ok) {
-    const t = await res.text().catch(() => "");
-    throw new Error(t || `submitAnswer failed: ${res.status}`);
-  }
-  return res.json();
+  return apiPost("/api/answers", payload);
 }
 
 /**
@@ -180,66 +117,101 @@ export async function submitAnswer(payload) {
  * getEventTypeDistribution
  * Fetches distribution of event types for pie/donut charts.
  */
-export async function getEventTypeDistribution() {
-  const base = getApiBaseUrl();
-  const url = `${base}/api/metrics/event-types`;
-  const res = await authorizedFetch(url, { method: "GET" });
-  if (!res.ok) {
-    throw new Error(`getEventTypeDistribution failed: ${res.status}`);
-  }
-  return res.json();
+export async function getEventTypeDistribution(options = {}) {
+  return getMetric(METRICS.eventTypes, options);
 }
 
 /**
  * PUBLIC_INTERFACE
  * getSignupsPerDay
  * Returns array of { date: 'YYYY-MM-DD', count: number }.
- * Accepts optional range param: '7d' | '14d' | '30d' (backend may ignore; frontend handles gracefully).
+ * A range the backend does not support may be ignored; the frontend handles that gracefully.
  */
-export async function getSignupsPerDay(range = "") {
-  const base = getApiBaseUrl();
-  const q = range ? `?range=${encodeURIComponent(range)}` : "";
-  const url = `${base}/api/metrics/signups-per-day${q}`;
-  const res = await authorizedFetch(url, { method: "GET" });
-  if (!res.ok) throw new Error(`getSignupsPerDay failed: ${res.status}`);
-  return res.json();
+export async function getSignupsPerDay(options = {}) {
+  return getMetric(METRICS.signupsPerDay, options);
 }
 
 /**
  * PUBLIC_INTERFACE
  * getActiveUsers
- * Returns per-minute active users series for a given window like '10m'.
+ * Returns the active users series [{ minute: ISOString, count: number }], one point per
+ * granularity bucket (per minute by default; backend default window: 10m).
  */
-export async function getActiveUsers(window = "10m") {
-  const base = getApiBaseUrl();
-  const url = `${base}/api/metrics/active-users?window=${encodeURIComponent(window)}`;
-  const res = await authorizedFetch(url, { method: "GET" });
-  if (!res.ok) throw new Error(`getActiveUsers failed: ${res.status}`);
-  return res.json();
+export async function getActiveUsers(options = {}) {
+  return getMetric(METRICS.activeUsers, options);
 }
 
 /**
  * PUBLIC_INTERFACE
  * getTotalEvents
- * Returns { total: number }.
+ * Returns { total: number }: all time, or within options.timeRange when given.
  */
-export async function getTotalEvents() {
-  const base = getApiBaseUrl();
-  const url = `${base}/api/metrics/total-events`;
-  const res = await authorizedFetch(url, { method: "GET" });
-  if (!res.ok) throw new Error(`getTotalEvents failed: ${res.status}`);
-  return res.json();
+export async function getTotalEvents(options = {}) {
+  return getMetric(METRICS.totalEvents, options);
 }
 
 /**
  * PUBLIC_INTERFACE
  * getRecentActivity
- * Returns last 10 user events.
- */
-export async function getRecentActivity() {
-  const base = getApiBaseUrl();
-  const url = `${base}/api/metrics/recent-activity`;
-  const res = await authorizedFetch(url, { method: "GET" });
-  if (!res.ok) throw new Error(`getRecentActivity failed: ${res.status}`);
-  return res.json();
+ * Returns the last 10 user events (within options.timeRange when given).
+ */
+export async function getRecentActivity(options = {}) {
+  return getMetric(METRICS.recentActivity, options);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * getDashboards
+ * Lists the named dashboards the user owns or that are shared with them:
+ * [{ id, name, owner, access: 'owner' | 'edit' | 'view' }].
+ */
+export async function getDashboards(options = {}) {
+  return apiGet("/api/dashboards", { signal: options.signal });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * getDashboard
+ * Returns one named dashboard:
+ * { id, name, owner, layout: { widgets, hidden }, filters, shares: [{ user, access }], access }.
+ */
+export async function getDashboard(id, options = {}) {
+  return apiGet(`/api/dashboards/${encodeURIComponent(id)}`, { signal: options.signal });
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * createDashboard
+ * Creates a named dashboard via POST /api/dashboards. Payload: { name, layout, filters }.
+ */
+export async function createDashboard(payload) {
+  return apiPost("/api/dashboards", payload);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * updateDashboard
+ * Updates some of { name, layout, filters } via PATCH /api/dashboards/:id (owner or edit access).
+ */
+export async function updateDashboard(id, patch) {
+  return apiPatch(`/api/dashboards/${encodeURIComponent(id)}`, patch);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * deleteDashboard
+ * Deletes a named dashboard (owner only).
+ */
+export async function deleteDashboard(id) {
+  return apiDelete(`/api/dashboards/${encodeURIComponent(id)}`);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * shareDashboard
+ * Replaces the dashboard's share list via PUT /api/dashboards/:id/shares (owner only).
+ * shares: [{ user: email or username, access: 'view' | 'edit' }].
+ */
+export async function shareDashboard(id, shares) {
+  return apiPut(`/api/dashboards/${encodeURIComponent(id)}/shares`, { shares });
 }
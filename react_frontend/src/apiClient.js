@@ -1,92 +1,295 @@
 //
-// Lightweight API client: builds absolute URLs from backend base,
-// injects Authorization Bearer if token is present, never uses credentials,
-// and provides helper methods for common calls.
+// Single request layer used by every API function.
+// Builds absolute URLs from the configured backend base, injects the
+// Authorization Bearer token of the session (one session for every role),
+// never sends cookies, parses JSON (falling back to text) and throws a
+// structured ApiError carrying the HTTP status and response payload.
+// Idempotent GETs are retried with jittered exponential backoff (honouring
+// Retry-After) and wait while the browser reports being offline.
 //
 
-import { getBackendUrl } from './config';
+import { getBackendUrl, getConfigValue } from './config.js';
+import { getToken, refreshToken, clearAuth } from './auth.js';
+import { notifySessionExpired } from './tokenRefresh.js';
+import { SESSION_EVENTS, publishSessionEvent } from './sessionBus.js';
+import { getDisplayToken } from './displayMode.js';
+
+/**
+ * PUBLIC_INTERFACE
+ * ApiError
+ * Thrown for non-2xx responses. `status` is the HTTP status (0 when the request
+ * never reached the server), `payload` the parsed JSON or text body.
+ */
+export class ApiError extends Error {
+  constructor(message, { status = 0, payload = null, url = '' } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.payload = payload;
+    this.url = url;
+  }
+}
 
 // PUBLIC_INTERFACE
-export function buildApiUrl(path) {
-  /** Build an absolute API URL using the configured backend base. Accepts paths with or without leading '/'. */
+export function buildApiUrl(path, query) {
+  /** Build an absolute API URL using the configured backend base. Accepts paths with or without leading '/', and an optional query object. */
+  const raw = String(path || '');
+  if (raw.startsWith('http://') || raw.startsWith('https://')) return `${raw}${toQueryString(query, raw)}`;
   const base = getBackendUrl();
-  const cleanPath = String(path || '').startsWith('/') ? path : `/${path}`;
-  return `${base}${cleanPath}`;
+  const cleanPath = raw.startsWith('/') ? raw : `/${raw}`;
+  return `${base}${cleanPath}${toQueryString(query, cleanPath)}`;
 }
 
-function getAuthToken() {
-  try {
-    return (typeof globalThis !== 'undefined' && globalThis.localStorage)
-      ? (globalThis.localStorage.getItem('token') || '')
-      : '';
-  } catch {
-    return '';
+function toQueryString(query, path) {
+  if (!query) return '';
+  const parts = [];
+  for (const [key, value] of Object.entries(query)) {
+    if (value === undefined || value === null || value === '') continue;
+    parts.push(`${encodeURIComponent(key)}=${encodeURIComponent(String(value))}`);
   }
+  if (parts.length === 0) return '';
+  return `${path.includes('?') ? '&' : '?'}${parts.join('&')}`;
 }
 
-function defaultHeaders() {
-  const headers = {
-    'Content-Type': 'application/json',
-  };
-  const token = getAuthToken();
-  if (token) {
-    headers['Authorization'] = `Bearer ${token}`;
-  }
-  return headers;
+// Transient statuses worth retrying (timeouts, throttling, gateway/restart errors)
+const RETRY_STATUSES = new Set([408, 429, 502, 503, 504]);
+const DEFAULT_RETRY = { retries: 3, baseDelayMs: 500, maxDelayMs: 8000 };
+// Upper bound for a server-provided Retry-After
+const MAX_RETRY_AFTER_MS = 60000;
+
+function abortError() {
+  const err = new Error('The operation was aborted.');
+  err.name = 'AbortError';
+  return err;
 }
 
-// PUBLIC_INTERFACE
-export async function apiGet(path) {
-  /** GET wrapper with Authorization header when available and no credentials. */
-  const _fetch = (typeof globalThis !== 'undefined' && typeof globalThis.fetch === 'function') ? globalThis.fetch : null;
-  if (!_fetch) throw new Error('fetch is not available in this environment');
-  const res = await _fetch(buildApiUrl(path), {
-    method: 'GET',
-    headers: defaultHeaders(),
-    // Explicitly avoid credentials for production readiness
-    credentials: 'omit',
-    mode: 'cors',
+function isAbortError(err) {
+  return err?.name === 'AbortError';
+}
+
+function resolveRetry(method, retry) {
+  // Only idempotent reads are retried unless the caller opts in explicitly
+  if (retry === false || retry === 0) return { ...DEFAULT_RETRY, retries: 0 };
+  const configured = { ...DEFAULT_RETRY, ...(getConfigValue('retry') || {}) };
+  if (typeof retry === 'number') return { ...configured, retries: retry };
+  if (retry && typeof retry === 'object') return { ...configured, ...retry };
+  return method === 'GET' ? configured : { ...configured, retries: 0 };
+}
+
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+  // Equal jitter: half fixed, half random, so clients restarting together spread out
+  const exp = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return exp / 2 + Math.random() * (exp / 2);
+}
+
+function retryAfterMs(res) {
+  const header = res?.headers?.get('retry-after');
+  if (!header) return 0;
+  const seconds = Number(header);
+  const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(header) - Date.now();
+  return Number.isFinite(ms) && ms > 0 ? Math.min(ms, MAX_RETRY_AFTER_MS) : 0;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+    const onAbort = () => {
+      globalThis.clearTimeout(timer);
+      reject(abortError());
+    };
+    const timer = globalThis.setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
   });
-  return handleJson(res);
 }
 
 // PUBLIC_INTERFACE
-export async function apiPost(path, body) {
-  /** POST wrapper with JSON body, Authorization header when available, and no credentials. */
-  const _fetch2 = (typeof globalThis !== 'undefined' && typeof globalThis.fetch === 'function') ? globalThis.fetch : null;
-  if (!_fetch2) throw new Error('fetch is not available in this environment');
-  const res = await _fetch2(buildApiUrl(path), {
-    method: 'POST',
-    headers: defaultHeaders(),
-    body: body != null ? JSON.stringify(body) : undefined,
-    credentials: 'omit',
-    mode: 'cors',
+export function isOnline() {
+  /** False only when the browser positively reports being offline. */
+  return globalThis.navigator?.onLine !== false;
+}
+
+// PUBLIC_INTERFACE
+export function waitForOnline(signal) {
+  /** Resolves immediately when online, otherwise on the next 'online' event; rejects on abort. */
+  if (isOnline() || typeof globalThis.addEventListener !== 'function') return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+    const cleanup = () => {
+      globalThis.removeEventListener('online', onOnline);
+      signal?.removeEventListener('abort', onAbort);
+    };
+    const onOnline = () => {
+      cleanup();
+      resolve();
+    };
+    const onAbort = () => {
+      cleanup();
+      reject(abortError());
+    };
+    globalThis.addEventListener('online', onOnline);
+    signal?.addEventListener('abort', onAbort, { once: true });
   });
-  return handleJson(res);
 }
 
-async function handleJson(res) {
+function resolveToken(auth) {
+  if (auth === 'none') return null;
+  if (auth === 'display') return getDisplayToken();
+  return getToken();
+}
+
+function expireSession() {
+  clearAuth();
+  notifySessionExpired();
+  publishSessionEvent(SESSION_EVENTS.expired);
+}
+
+function errorMessage(payload, status) {
+  if (payload && typeof payload === 'object') {
+    const msg = payload.message || payload.error;
+    if (typeof msg === 'string' && msg) return msg;
+  }
+  if (typeof payload === 'string' && payload.trim()) return payload.trim();
+  return `Request failed with ${status}`;
+}
+
+async function parseBody(res) {
   const contentType = res.headers.get('content-type') || '';
-  let payload = null;
   if (contentType.includes('application/json')) {
     try {
-      payload = await res.json();
+      return await res.json();
     } catch {
-      payload = null;
+      return null;
     }
-  } else {
-    // attempt text fallback
+  }
+  // attempt text fallback
+  try {
+    const text = await res.text();
+    return text === '' ? null : text;
+  } catch {
+    return null;
+  }
+}
+
+// PUBLIC_INTERFACE
+export async function request(path, options = {}) {
+  /**
+   * Performs an API request and returns the parsed response body.
+   * options:
+   * - method: HTTP method (default 'GET')
+   * - body: value serialized as JSON
+   * - query: object of query params (empty values are skipped)
+   * - auth: 'session' | 'display' | 'none' (default 'session': send the signed-in account's token;
+   *   'display': the wallboard's read-only display token, GET only, never refreshed)
+   * - headers, signal: passed through to fetch
+   * - retry: false | number of retries | { retries, baseDelayMs, maxDelayMs }.
+   *   GETs default to 3 retries (runtime config key `retry` overrides the defaults);
+   *   other methods are not retried unless requested.
+   * - skipAuthRefresh: do not attempt a token refresh on 401 (used by the refresh call itself)
+   * Network failures and 408/429/502/503/504 are retried; GETs wait while offline.
+   * A 401 for an authenticated request triggers one coordinated token refresh and a
+   * single retry; if the refresh fails the session is cleared and onSessionExpired
+   * listeners are notified (the router then redirects to login).
+   * Throws ApiError on non-2xx responses (status 0 for network failures).
+   */
+  const { method = 'GET', body, query, auth = 'session', headers = {}, signal, retry, skipAuthRefresh = false } = options;
+  const _fetch = (typeof globalThis !== 'undefined' && typeof globalThis.fetch === 'function') ? globalThis.fetch : null;
+  if (!_fetch) throw new Error('fetch is not available in this environment');
+  if (auth === 'display' && method !== 'GET') {
+    throw new ApiError('The display token is read-only', { status: 403, url: String(path || '') });
+  }
+
+  const url = buildApiUrl(path, query);
+  const policy = resolveRetry(method, retry);
+  const pauseWhileOffline = method === 'GET';
+  let refreshed = false;
+
+  for (let attempt = 0; ; attempt++) {
+    if (pauseWhileOffline) await waitForOnline(signal);
+
+    // Resolve the token per attempt so a refreshed session is picked up
+    const finalHeaders = { 'Content-Type': 'application/json', ...headers };
+    const token = resolveToken(auth);
+    if (token) finalHeaders['Authorization'] = `Bearer ${token}`;
+
+    let res;
     try {
-      payload = await res.text();
-    } catch {
-      payload = null;
+      res = await _fetch(url, {
+        method,
+        headers: finalHeaders,
+        body: body !== undefined && body !== null ? JSON.stringify(body) : undefined,
+        // Explicitly avoid credentials; auth is carried by the Bearer token only
+        credentials: 'omit',
+        mode: 'cors',
+        signal,
+      });
+    } catch (err) {
+      if (isAbortError(err)) throw err;
+      if (attempt >= policy.retries) {
+        throw new ApiError(err?.message || 'Network request failed', { status: 0, url });
+      }
+      await sleep(backoffDelay(attempt, policy), signal);
+      continue;
     }
+
+    if (res.status === 401 && token && auth === 'session' && !skipAuthRefresh) {
+      // One coordinated refresh shared by every concurrent caller
+      const next = !refreshed ? await refreshToken() : null;
+      if (next) {
+        refreshed = true;
+        attempt -= 1; // the auth retry does not consume a transient-error retry
+        continue;
+      }
+      expireSession();
+    }
+
+    if (!res.ok && RETRY_STATUSES.has(res.status) && attempt < policy.retries) {
+      await sleep(Math.max(backoffDelay(attempt, policy), retryAfterMs(res)), signal);
+      continue;
+    }
+
+    const payload = await parseBody(res);
+    if (!res.ok) {
+      throw new ApiError(errorMessage(payload, res.status), { status: res.status, payload, url });
+    }
+    return payload;
   }
-  if (!res.ok) {
-    const error = new Error(`Request failed with ${res.status}`);
-    error.status = res.status;
-    error.payload = payload;
-    throw error;
-  }
-  return payload;
+}
+
+// PUBLIC_INTERFACE
+export function apiGet(path, options = {}) {
+  /** GET wrapper around request(). */
+  return request(path, { ...options, method: 'GET' });
+}
+
+// PUBLIC_INTERFACE
+export function apiPost(path, body, options = {}) {
+  /** POST wrapper around request() with a JSON body. */
+  return request(path, { ...options, method: 'POST', body });
+}
+
+// PUBLIC_INTERFACE
+export function apiPut(path, body, options = {}) {
+  /** PUT wrapper around request() with a JSON body. */
+  return request(path, { ...options, method: 'PUT', body });
+}
+
+// PUBLIC_INTERFACE
+export function apiPatch(path, body, options = {}) {
+  /** PATCH wrapper around request() with a JSON body. */
+  return request(path, { ...options, method: 'PATCH', body });
+}
+
+// PUBLIC_INTERFACE
+export function apiDelete(path, options = {}) {
+  /** DELETE wrapper around request(). */
+  return request(path, { ...options, method: 'DELETE' });
 }
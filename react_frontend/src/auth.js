@@ -1,11 +1,49 @@
 //
 // PUBLIC_INTERFACE
 // Auth utilities: token storage, current user fetch, and API helpers.
+// This is the single session store for every account, admins included; roles and
+// permissions derived from it live in session.js.
 //
-import { getApiBaseUrl } from "./api.js";
+import { apiGet, apiPost } from "./apiClient.js";
+import { createTokenRefresher } from "./tokenRefresh.js";
+import { clearQueries } from "./queryCache.js";
+import { SESSION_EVENTS, onSessionEvent, publishSessionEvent, sessionUserKey } from "./sessionBus.js";
 
 const TOKEN_KEY = "auth_token";
 const USER_KEY = "auth_user";
+// "admin" when the session was opened through the admin auth endpoints
+const KIND_KEY = "auth_kind";
+// Storage keys of the former separate admin session, migrated on load
+const LEGACY_ADMIN_TOKEN_KEY = "admin_auth_token";
+const LEGACY_ADMIN_USER_KEY = "admin_auth_user";
+
+/**
+ * PUBLIC_INTERFACE
+ * SESSION_KINDS
+ * Auth endpoints a session was opened through: the user ones or the admin ones.
+ */
+export const SESSION_KINDS = Object.freeze({ user: "user", admin: "admin" });
+
+const changeListeners = new Set();
+
+function emitChange() {
+  for (const l of changeListeners) {
+    try {
+      l();
+    } catch {
+      // ignore listener errors
+    }
+  }
+}
+
+// PUBLIC_INTERFACE
+export function onAuthChange(listener) {
+  /** Calls listener() whenever the token or user is stored or cleared in this tab. Returns unsubscribe. */
+  changeListeners.add(listener);
+  return () => {
+    changeListeners.delete(listener);
+  };
+}
 
 // PUBLIC_INTERFACE
 export function getToken() {
@@ -17,9 +55,7 @@ export function getToken() {
   }
 }
 
-// PUBLIC_INTERFACE
-export function setToken(token) {
-  /** Persists the JWT token to localStorage. */
+function storeToken(token) {
   try {
     if (token) {
       globalThis.localStorage.setItem(TOKEN_KEY, token);
@@ -29,17 +65,138 @@ export function setToken(token) {
   } catch {
     // ignore storage errors
   }
+  emitChange();
+}
+
+// Proactive refresh is paused while the screen is locked (SessionLock.jsx)
+let refreshPaused = false;
+
+const refresher = createTokenRefresher({
+  isPaused: () => refreshPaused,
+  getToken,
+  storeToken: (token) => {
+    storeToken(token);
+    // Other tabs re-arm their timers from the new expiry instead of refreshing too
+    publishSessionEvent(SESSION_EVENTS.refresh);
+  },
+  // Tokens are refreshed by the endpoints that issued them
+  requestRefresh: () =>
+    apiPost(getSessionKind() === SESSION_KINDS.admin ? "/api/admin/auth/refresh" : "/api/auth/refresh", null, {
+      skipAuthRefresh: true,
+    }),
+});
+
+// A browser still holding only a separate admin session keeps it as the unified
+// session (verified against the admin /me endpoint, see getSessionProfile); the
+// legacy keys are always dropped.
+function migrateLegacyAdminSession() {
+  try {
+    const storage = globalThis.localStorage;
+    if (!storage) return;
+    const legacyToken = storage.getItem(LEGACY_ADMIN_TOKEN_KEY);
+    const legacyUser = storage.getItem(LEGACY_ADMIN_USER_KEY);
+    if (legacyToken && !storage.getItem(TOKEN_KEY)) {
+      storage.setItem(TOKEN_KEY, legacyToken);
+      storage.setItem(KIND_KEY, SESSION_KINDS.admin);
+      if (legacyUser) storage.setItem(USER_KEY, legacyUser);
+    }
+    storage.removeItem(LEGACY_ADMIN_TOKEN_KEY);
+    storage.removeItem(LEGACY_ADMIN_USER_KEY);
+  } catch {
+    // ignore storage errors
+  }
+}
+
+migrateLegacyAdminSession();
+
+// Another tab changed the shared session: follow its token's schedule
+onSessionEvent(({ type }) => {
+  if (type === SESSION_EVENTS.login || type === SESSION_EVENTS.refresh) {
+    refresher.schedule();
+  } else if (type === SESSION_EVENTS.logout || type === SESSION_EVENTS.expired) {
+    refresher.cancel();
+    clearQueries();
+  }
+  emitChange();
+});
+
+// PUBLIC_INTERFACE
+export function announceLogin(user) {
+  /** Tells other open tabs that this tab signed in (used by the user and admin sign-in flows). */
+  publishSessionEvent(SESSION_EVENTS.login, { userKey: sessionUserKey(user) });
+}
+
+// PUBLIC_INTERFACE
+export function getSessionKind() {
+  /** Returns SESSION_KINDS.admin for sessions opened through the admin auth endpoints, else SESSION_KINDS.user. */
+  try {
+    return globalThis.localStorage?.getItem(KIND_KEY) === SESSION_KINDS.admin ? SESSION_KINDS.admin : SESSION_KINDS.user;
+  } catch {
+    return SESSION_KINDS.user;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function setToken(token, kind = SESSION_KINDS.user) {
+  /**
+   * Persists the JWT token to localStorage, with the SESSION_KINDS value of the endpoints
+   * that issued it, and schedules its refresh before expiry.
+   */
+  try {
+    if (token) globalThis.localStorage.setItem(KIND_KEY, kind);
+    else globalThis.localStorage.removeItem(KIND_KEY);
+  } catch {
+    // ignore storage errors
+  }
+  storeToken(token);
+  if (token) {
+    refresher.schedule();
+  } else {
+    refresher.cancel();
+  }
+}
+
+// PUBLIC_INTERFACE
+export function refreshToken() {
+  /**
+   * Exchanges the current JWT token for a fresh one via POST /api/auth/refresh
+   * (POST /api/admin/auth/refresh for admin sessions, see getSessionKind).
+   * Concurrent callers share one request. Resolves to the new token, or null when
+   * there is no token or the backend refused (the session must then re-authenticate).
+   */
+  return refresher.refresh();
+}
+
+// PUBLIC_INTERFACE
+export function startTokenRefresh() {
+  /** Arms proactive refresh for a token restored from storage (call once at boot). */
+  refresher.schedule();
+}
+
+// PUBLIC_INTERFACE
+export function setTokenRefreshPaused(paused) {
+  /**
+   * Stops (true) or restarts (false) token refresh, both the proactive timer and the
+   * refresh after a 401, so a locked session is not kept alive; it then expires as
+   * usual unless unlocked in time.
+   */
+  refreshPaused = Boolean(paused);
+  if (refreshPaused) refresher.cancel();
+  else refresher.schedule();
 }
 
 // PUBLIC_INTERFACE
 export function clearAuth() {
   /** Clears token and user from storage. */
+  refresher.cancel();
   try {
     globalThis.localStorage.removeItem(TOKEN_KEY);
     globalThis.localStorage.removeItem(USER_KEY);
+    globalThis.localStorage.removeItem(KIND_KEY);
   } catch {
     // ignore
   }
+  emitChange();
 }
 
 // PUBLIC_INTERFACE
@@ -65,35 +222,7 @@ export function setStoredUser(user) {
   } catch {
     // ignore
   }
-}
-
-// PUBLIC_INTERFACE
-export async function authFetch(path, options = {}) {
-  /**
-   * Wrapper around fetch that attaches Authorization: Bearer <token> when available.
-   * Uses same-origin or VITE_API_BASE_URL.
-   */
-  const base = getApiBaseUrl();
-  const url = path.startsWith("http") ? path : `${base}${path}`;
-  const token = getToken();
-
-  const headers = {
-    ...(options.headers || {}),
-    "Content-Type": "application/json",
-  };
-  if (token) {
-    headers.Authorization = `Bearer ${token}`;
-  }
-
-  const f = typeof globalThis !== "undefined" && globalThis.fetch ? globalThis.fetch : null;
-  if (!f) throw new Error("fetch is not available in this environment");
-
-  const res = await f(url, {
-    credentials: "include",
-    ...options,
-    headers,
-  });
-  return res;
+  emitChange();
 }
 
 // PUBLIC_INTERFACE
@@ -102,18 +231,11 @@ export async function signup({ username, email, password }) {
    * Calls POST /api/auth/signup to create a user. On success stores token and user.
    * Returns { user, token }.
    */
-  const res = await authFetch("/api/auth/signup", {
-    method: "POST",
-    body: JSON.stringify({ username, email, password }),
-  });
-  if (!res.ok) {
-    const errText = await res.text().catch(() => "");
-    throw new Error(errText || `Signup failed: ${res.status}`);
-  }
-  const data = await res.json();
+  const data = await apiPost("/api/auth/signup", { username, email, password }, { auth: "none" });
   const { token, user } = data || {};
   setToken(token);
   setStoredUser(user);
+  announceLogin(user);
   return data;
 }
 
@@ -123,15 +245,7 @@ export async function login({ email, password }) {
    * Calls POST /api/auth/login. On success stores token and user if returned.
    * Returns { user, token }.
    */
-  const res = await authFetch("/api/auth/login", {
-    method: "POST",
-    body: JSON.stringify({ email, password }),
-  });
-  if (!res.ok) {
-    const errText = await res.text().catch(() => "");
-    throw new Error(errText || `Login failed: ${res.status}`);
-  }
-  const data = await res.json();
+  const data = await apiPost("/api/auth/login", { email, password }, { auth: "none" });
   const { token, user } = data || {};
   setToken(token);
   // Some backends may not return user here, so fetch /me if missing
@@ -145,26 +259,37 @@ export async function login({ email, password }) {
       // ignore
     }
   }
+  announceLogin(getStoredUser());
   return data;
 }
 
 // PUBLIC_INTERFACE
 export async function getCurrentUser() {
   /** Calls GET /api/auth/me to retrieve the current user profile. */
-  const res = await authFetch("/api/auth/me", { method: "GET" });
-  if (!res.ok) {
-    throw new Error(`Unauthorized: ${res.status}`);
-  }
-  const data = await res.json();
+  const data = await apiGet("/api/auth/me");
+  return data?.user ?? data;
+}
+
+// PUBLIC_INTERFACE
+export async function getSessionProfile() {
+  /**
+   * Verifies the session with the endpoint that issued it and returns the profile:
+   * GET /api/admin/auth/me for admin sessions, GET /api/auth/me otherwise.
+   */
+  if (getSessionKind() !== SESSION_KINDS.admin) return getCurrentUser();
+  const data = await apiGet("/api/admin/auth/me");
   return data?.user ?? data;
 }
 
 /**
  * PUBLIC_INTERFACE
  * logout
- * Clears token and user client-side and returns true.
+ * Clears token, user and cached API responses client-side, signs out every
+ * other open tab, and returns true.
  */
 export async function logout() {
   clearAuth();
+  clearQueries();
+  publishSessionEvent(SESSION_EVENTS.logout);
   return true;
 }
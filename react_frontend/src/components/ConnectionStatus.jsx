@@ -0,0 +1,54 @@
+import React, { useEffect, useState } from "react";
+import { useConnectionState } from "../realtime.jsx";
+
+const LABELS = {
+  connecting: "Connecting…",
+  live: "Live",
+  reconnecting: "Reconnecting…",
+  offline: "Offline",
+};
+
+function agoText(ts, now) {
+  if (!ts) return "no events yet";
+  const s = Math.max(0, Math.round((now - ts) / 1000));
+  if (s < 60) return `last event ${s}s ago`;
+  const m = Math.round(s / 60);
+  if (m < 60) return `last event ${m}m ago`;
+  return `last event ${Math.round(m / 60)}h ago`;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * ConnectionStatus
+ * Compact status pill for the shared realtime connection (connecting, live,
+ * reconnecting, offline) with the time since the last received event.
+ * Renders nothing while no view is using the socket.
+ */
+export default function ConnectionStatus() {
+  const { status, lastEventAt, active } = useConnectionState();
+  const [now, setNow] = useState(() => Date.now());
+
+  // Tick so the "last event" age stays current
+  useEffect(() => {
+    if (!active) return undefined;
+    const t = setInterval(() => setNow(Date.now()), 5000);
+    return () => clearInterval(t);
+  }, [active]);
+
+  if (!active) return null;
+
+  const label = LABELS[status] || status;
+  const age = agoText(lastEventAt, Math.max(now, lastEventAt || 0));
+  return (
+    <span
+      className={`conn-pill conn-${status}`}
+      role="status"
+      aria-live="polite"
+      title={`Realtime: ${label} (${age})`}
+    >
+      <span className="conn-dot" aria-hidden="true" />
+      <span className="conn-label">{label}</span>
+      {status === "live" ? <span className="conn-age">{age}</span> : null}
+    </span>
+  );
+}
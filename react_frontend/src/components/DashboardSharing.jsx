@@ -0,0 +1,123 @@
+import React, { useEffect, useState } from "react";
+import { shareDashboard } from "../api.js";
+import { DASHBOARD_ACCESS } from "../dashboards.js";
+
+const ACCESS_OPTIONS = [
+  { value: DASHBOARD_ACCESS.view, label: "Can view" },
+  { value: DASHBOARD_ACCESS.edit, label: "Can edit" },
+];
+
+/**
+ * PUBLIC_INTERFACE
+ * DashboardSharing
+ * Dialog for the owner of a named dashboard to share it with teammates (by email
+ * or username) as read-only or editable, change their access, or stop sharing.
+ * Saves the whole share list at once and reports it through onSaved(shares).
+ */
+export default function DashboardSharing({ dashboard, onClose, onSaved }) {
+  const [shares, setShares] = useState(() => (dashboard.shares || []).map((s) => ({ ...s })));
+  const [user, setUser] = useState("");
+  const [access, setAccess] = useState(DASHBOARD_ACCESS.view);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  // Escape closes the dialog
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    document.addEventListener("keydown", onKey);
+    return () => document.removeEventListener("keydown", onKey);
+  }, [onClose]);
+
+  const addShare = (e) => {
+    e.preventDefault();
+    const name = user.trim();
+    if (!name) return;
+    if (shares.some((s) => s.user.toLowerCase() === name.toLowerCase())) {
+      setError(`${name} already has access`);
+      return;
+    }
+    setShares((prev) => [...prev, { user: name, access }]);
+    setUser("");
+    setError("");
+  };
+
+  const save = async () => {
+    setSaving(true);
+    setError("");
+    try {
+      const res = await shareDashboard(dashboard.id, shares);
+      onSaved?.(Array.isArray(res?.shares) ? res.shares : shares);
+      onClose();
+    } catch (err) {
+      setError(err?.message || "Failed to update sharing");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="share-overlay" role="dialog" aria-modal="true" aria-labelledby="share-title" onClick={onClose}>
+      <div className="dash-card share-card" onClick={(e) => e.stopPropagation()}>
+        <h3 id="share-title" className="dash-heading">Share “{dashboard.name}”</h3>
+        <p className="dash-subheading">Teammates with view access see the dashboard read-only; edit access lets them change its layout and filters.</p>
+
+        <form className="share-add" onSubmit={addShare}>
+          <input
+            className="layout-add"
+            placeholder="Email or username"
+            value={user}
+            onChange={(e) => setUser(e.target.value)}
+            aria-label="Teammate email or username"
+          />
+          <select className="layout-add" value={access} onChange={(e) => setAccess(e.target.value)} aria-label="Access">
+            {ACCESS_OPTIONS.map((o) => (
+              <option key={o.value} value={o.value}>{o.label}</option>
+            ))}
+          </select>
+          <button className="btn-ghost" type="submit">Add</button>
+        </form>
+
+        {shares.length === 0 ? (
+          <p className="muted">Only you can see this dashboard.</p>
+        ) : (
+          <ul className="share-list" aria-label="People with access">
+            {shares.map((s) => (
+              <li key={s.user} className="share-row">
+                <span className="share-user">{s.user}</span>
+                <select
+                  className="layout-add"
+                  value={s.access}
+                  onChange={(e) => {
+                    const value = e.target.value;
+                    setShares((prev) => prev.map((p) => (p.user === s.user ? { ...p, access: value } : p)));
+                  }}
+                  aria-label={`Access for ${s.user}`}
+                >
+                  {ACCESS_OPTIONS.map((o) => (
+                    <option key={o.value} value={o.value}>{o.label}</option>
+                  ))}
+                </select>
+                <button
+                  className="btn-ghost"
+                  onClick={() => setShares((prev) => prev.filter((p) => p.user !== s.user))}
+                  aria-label={`Stop sharing with ${s.user}`}
+                >
+                  ×
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {error ? <div className="auth-error" role="alert">{error}</div> : null}
+
+        <div className="actions-row" style={{ justifyContent: "flex-end" }}>
+          <button className="btn-ghost" onClick={onClose} disabled={saving}>Cancel</button>
+          <button className="btn-solid" onClick={save} disabled={saving}>{saving ? "Saving…" : "Save"}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
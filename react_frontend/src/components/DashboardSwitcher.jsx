@@ -0,0 +1,129 @@
+import React, { useEffect, useRef, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { createDashboard } from "../api.js";
+import { DEFAULT_FILTERS } from "../dashboardData.js";
+import { getDefaultLayout } from "../dashboardLayout.js";
+import {
+  DASHBOARD_ACCESS,
+  dashboardPath,
+  refreshDashboardList,
+  upsertDashboardInList,
+  useDashboardList,
+} from "../dashboards.js";
+
+/**
+ * PUBLIC_INTERFACE
+ * DashboardSwitcher
+ * Header dropdown to move between the personal dashboard ("/") and the named
+ * dashboards the user owns or that are shared with them, and to create a new one.
+ */
+export default function DashboardSwitcher({ pathname = "/" }) {
+  const { dashboards, loading, error, loaded } = useDashboardList();
+  const navigate = useNavigate();
+  const [open, setOpen] = useState(false);
+  const [name, setName] = useState("");
+  const [creating, setCreating] = useState(false);
+  const [createError, setCreateError] = useState("");
+  const rootRef = useRef(null);
+
+  const currentId = pathname.startsWith("/dashboards/")
+    ? decodeURIComponent(pathname.slice("/dashboards/".length).split("/")[0])
+    : null;
+  const current = currentId ? dashboards.find((d) => String(d.id) === currentId) : null;
+  const label = currentId ? current?.name || "Dashboard" : "My dashboard";
+
+  useEffect(() => {
+    if (!loaded && !loading && (open || currentId)) refreshDashboardList();
+  }, [open, loaded, loading, currentId]);
+
+  // Close when clicking outside the switcher
+  useEffect(() => {
+    if (!open) return undefined;
+    const onDocClick = (e) => {
+      if (rootRef.current && !rootRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener("click", onDocClick);
+    return () => document.removeEventListener("click", onDocClick);
+  }, [open]);
+
+  const create = async (e) => {
+    e.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    setCreating(true);
+    setCreateError("");
+    try {
+      const created = await createDashboard({ name: trimmed, layout: getDefaultLayout(), filters: DEFAULT_FILTERS });
+      upsertDashboardInList({ access: DASHBOARD_ACCESS.owner, ...created });
+      setName("");
+      setOpen(false);
+      navigate(dashboardPath(created.id));
+    } catch (err) {
+      setCreateError(err?.message || "Failed to create dashboard");
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const owned = dashboards.filter((d) => d.access === DASHBOARD_ACCESS.owner);
+  const shared = dashboards.filter((d) => d.access !== DASHBOARD_ACCESS.owner);
+
+  const item = (d) => (
+    <li key={d.id} role="menuitem">
+      <a
+        className={`menu-item ${String(d.id) === currentId ? "active" : ""}`}
+        href={dashboardPath(d.id)}
+        aria-current={String(d.id) === currentId ? "page" : undefined}
+      >
+        <span className="switcher-name">{d.name}</span>
+        {d.access === DASHBOARD_ACCESS.view ? <span className="role-badge">VIEW</span> : null}
+      </a>
+    </li>
+  );
+
+  return (
+    <div className="session dashboard-switcher" ref={rootRef}>
+      <button
+        className="btn-ghost switcher-btn"
+        aria-haspopup="menu"
+        aria-expanded={open ? "true" : "false"}
+        onClick={() => setOpen((v) => !v)}
+        title="Switch dashboard"
+      >
+        <span className="switcher-name">{label}</span>
+        <span className="chev" aria-hidden="true">▾</span>
+      </button>
+      {open ? (
+        <ul className="menu-dropdown switcher-menu" role="menu" aria-label="Dashboards">
+          <li role="menuitem">
+            <a className={`menu-item ${!currentId && pathname === "/" ? "active" : ""}`} href="/">
+              My dashboard
+            </a>
+          </li>
+          {loading && !loaded ? <li className="muted switcher-note">Loading…</li> : null}
+          {error ? <li className="muted switcher-note" role="alert">{error}</li> : null}
+          {owned.length ? <li className="switcher-group" role="presentation">My dashboards</li> : null}
+          {owned.map(item)}
+          {shared.length ? <li className="switcher-group" role="presentation">Shared with me</li> : null}
+          {shared.map(item)}
+          <li role="presentation" className="switcher-create">
+            <form onSubmit={create}>
+              <input
+                className="layout-add"
+                placeholder="New dashboard name"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                aria-label="New dashboard name"
+                maxLength={80}
+              />
+              <button className="btn-solid" type="submit" disabled={creating || !name.trim()}>
+                {creating ? "Creating…" : "Create"}
+              </button>
+            </form>
+            {createError ? <div className="save-error" role="alert">{createError}</div> : null}
+          </li>
+        </ul>
+      ) : null}
+    </div>
+  );
+}
@@ -1,27 +1,52 @@
 import React from "react";
+import { timeFmt } from "../utils/format.js";
+
+const COLUMNS = [
+  { field: "username", label: "Username" },
+  { field: "event_type", label: "Event Type" },
+  { field: "timestamp", label: "Timestamp" },
+];
 
 /**
  * PUBLIC_INTERFACE
  * EventsTable
- * Displays a table with columns: username, event_type, timestamp (localized), newest first.
+ * Displays a table with columns: username, event_type, timestamp (in the display timezone), newest first.
+ * Optional: `sort` ({ field, order }) with onSortChange(field) makes the headers sort buttons,
+ * and `pagination` ({ page, hasPrev, hasNext, onPrev, onNext, loading }) adds page controls.
  */
-export default function EventsTable({ events }) {
+export default function EventsTable({
+  events,
+  title = "Latest Events",
+  emptyText = "No events yet.",
+  sort = null,
+  onSortChange = null,
+  pagination = null,
+}) {
+  const header = (col) => {
+    if (!onSortChange) return <th key={col.field}>{col.label}</th>;
+    const active = sort?.field === col.field;
+    const ariaSort = active ? (sort.order === "asc" ? "ascending" : "descending") : "none";
+    return (
+      <th key={col.field} aria-sort={ariaSort}>
+        <button className={`th-sort ${active ? "active" : ""}`} onClick={() => onSortChange(col.field)}>
+          {col.label}
+          <span aria-hidden="true">{active ? (sort.order === "asc" ? " ▲" : " ▼") : " ↕"}</span>
+        </button>
+      </th>
+    );
+  };
+
   return (
     <div className="table-container">
-      <h3 className="section-title">Latest Events</h3>
+      <h3 className="section-title">{title}</h3>
       <div className="table-scroll">
-        <table className="table">
+        <table className="table" aria-busy={pagination?.loading ? "true" : undefined}>
           <thead>
-            <tr>
-              <th>Username</th>
-              <th>Event Type</th>
-              <th>Timestamp</th>
-            </tr>
+            <tr>{COLUMNS.map(header)}</tr>
           </thead>
           <tbody>
             {events.map((e, idx) => {
-              const dt = e.timestamp ? new Date(e.timestamp) : null;
-              const ts = dt ? dt.toLocaleString() : "-";
+              const ts = e.timestamp ? timeFmt(e.timestamp) : "-";
               return (
                 <tr key={e._id || `${e.username}-${e.timestamp}-${idx}`}>
                   <td>{e.username}</td>
@@ -37,13 +62,24 @@ export default function EventsTable({ events }) {
             {events.length === 0 ? (
               <tr>
                 <td colSpan="3" className="muted">
-                  No events yet.
+                  {emptyText}
                 </td>
               </tr>
             ) : null}
           </tbody>
         </table>
       </div>
+      {pagination ? (
+        <div className="table-pager" role="navigation" aria-label="Pages">
+          <button className="btn-ghost" onClick={pagination.onPrev} disabled={!pagination.hasPrev || pagination.loading}>
+            ← Previous
+          </button>
+          <span className="muted">Page {pagination.page}</span>
+          <button className="btn-ghost" onClick={pagination.onNext} disabled={!pagination.hasNext || pagination.loading}>
+            Next →
+          </button>
+        </div>
+      ) : null}
     </div>
   );
 }
@@ -1,77 +1,55 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
-import { getStoredUser, getCurrentUser, logout } from "../auth.js";
-import {
-  getStoredAdminUser,
-  getCurrentAdmin,
-  adminLogout,
-} from "../adminAuth.js";
+import { getSessionProfile, setStoredUser, logout } from "../auth.js";
+import { PERMISSIONS, ROLES, hasPermission, hasRole, useSession } from "../session.js";
+import ConnectionStatus from "./ConnectionStatus.jsx";
+import DashboardSwitcher from "./DashboardSwitcher.jsx";
+
+const ROLE_LABELS = {
+  [ROLES.viewer]: "Viewer",
+  [ROLES.analyst]: "Analyst",
+  [ROLES.questionAuthor]: "Author",
+  [ROLES.admin]: "Admin",
+};
 
 /**
  * PUBLIC_INTERFACE
  * Header
  * A professional, responsive top navigation bar with:
  * - Brand/Logo (left)
- * - Primary nav (center/left): Dashboard, Questions (if user), Admin (always; highlighted if admin)
- * - Session controls (right): Login/Signup when no user; user avatar with dropdown when signed in
- * - Separate admin badge/session and dropdown
+ * - Primary nav (center/left): links the signed-in session is permitted to use
+ *   (Dashboard, Events, Stream, Summary, Questions, Admin), resolved from its roles via session.js
+ * - Dashboard switcher (right): the personal dashboard and named/shared dashboards
+ * - Realtime connection status pill (right) while a live view is using the socket
+ * - Session controls (right): Login/Signup/Admin login when signed out; one avatar with
+ *   role badges and a dropdown when signed in
  * - Mobile: hamburger toggles a slide-down drawer
  */
 export default function Header({ title, subtitle }) {
-  const [user, setUser] = useState(() => getStoredUser());
-  const [adminUser, setAdminUser] = useState(() => getStoredAdminUser());
+  const session = useSession();
+  const user = session?.user || null;
   const [loading, setLoading] = useState(false);
   const [mobileOpen, setMobileOpen] = useState(false);
   const [userMenuOpen, setUserMenuOpen] = useState(false);
-  const [adminMenuOpen, setAdminMenuOpen] = useState(false);
   const drawerRef = useRef(null);
 
+  const can = (permission) => hasPermission(permission, session);
+  const isAdmin = hasRole(ROLES.admin, session);
+  const roleLabels = (session?.roles || []).map((r) => ROLE_LABELS[r] || r);
+
   // Derive current path for active link highlighting
   const pathname = useMemo(() => {
     if (typeof window !== "undefined") return window.location.pathname || "/";
     return "/";
   }, []);
 
-  // Sync with storage changes across tabs
-  useEffect(() => {
-    const onStorage = (e) => {
-      if (e.key === "auth_user") {
-        try {
-          setUser(e.newValue ? JSON.parse(e.newValue) : null);
-        } catch {
-          setUser(null);
-        }
-      }
-      if (e.key === "admin_auth_user") {
-        try {
-          setAdminUser(e.newValue ? JSON.parse(e.newValue) : null);
-        } catch {
-          setAdminUser(null);
-        }
-      }
-    };
-    if (typeof window !== "undefined") {
-      window.addEventListener("storage", onStorage);
-    }
-    return () => {
-      if (typeof window !== "undefined") {
-        window.removeEventListener("storage", onStorage);
-      }
-    };
-  }, []);
-
-  // Best-effort fetch user/admin if not cached
+  // Best-effort fetch the profile when signed in without a cached one
   useEffect(() => {
+    if (!session || user) return;
     (async () => {
       setLoading(true);
       try {
-        if (!user) {
-          const me = await getCurrentUser().catch(() => null);
-          if (me) setUser(me);
-        }
-        if (!adminUser) {
-          const adm = await getCurrentAdmin().catch(() => null);
-          if (adm) setAdminUser(adm);
-        }
+        const me = await getSessionProfile().catch(() => null);
+        if (me) setStoredUser(me);
       } finally {
         setLoading(false);
       }
@@ -82,7 +60,6 @@ export default function Header({ title, subtitle }) {
   useEffect(() => {
     const onDocClick = (e) => {
       if (userMenuOpen) setUserMenuOpen(false);
-      if (adminMenuOpen) setAdminMenuOpen(false);
       // If clicking outside drawer on mobile, close
       if (mobileOpen && drawerRef.current && !drawerRef.current.contains(e.target)) {
         setMobileOpen(false);
@@ -90,26 +67,14 @@ export default function Header({ title, subtitle }) {
     };
     document.addEventListener("click", onDocClick);
     return () => document.removeEventListener("click", onDocClick);
-  }, [userMenuOpen, adminMenuOpen, mobileOpen]);
+  }, [userMenuOpen, mobileOpen]);
 
   const handleLogout = async () => {
+    const loginPath = pathname.startsWith("/admin") ? "/admin/login" : "/login";
     await logout();
-    setUser(null);
     try {
       if (typeof window !== "undefined") {
-        window.location.href = "/login";
-      }
-    } catch {
-      // ignore
-    }
-  };
-
-  const handleAdminLogout = async () => {
-    await adminLogout();
-    setAdminUser(null);
-    try {
-      if (typeof window !== "undefined") {
-        window.location.href = "/admin/login";
+        window.location.href = loginPath;
       }
     } catch {
       // ignore
@@ -121,7 +86,7 @@ export default function Header({ title, subtitle }) {
 
   const isActive = (href) => {
     if (!href) return false;
-    if (href === "/") return pathname === "/";
+    if (href === "/") return pathname === "/" || pathname.startsWith("/dashboards/");
     return pathname.startsWith(href);
   };
 
@@ -139,13 +104,39 @@ export default function Header({ title, subtitle }) {
 
         {/* Desktop Nav */}
         <nav className="nav-primary" aria-label="Primary">
-          <a
-            href="/"
-            className={`nav-link ${isActive("/") ? "active" : ""}`}
-          >
-            Dashboard
-          </a>
-          {user ? (
+          {!session || can(PERMISSIONS.viewDashboard) ? (
+            <a
+              href="/"
+              className={`nav-link ${isActive("/") ? "active" : ""}`}
+            >
+              Dashboard
+            </a>
+          ) : null}
+          {can(PERMISSIONS.viewEvents) ? (
+            <a
+              href="/events"
+              className={`nav-link ${isActive("/events") ? "active" : ""}`}
+            >
+              Events
+            </a>
+          ) : null}
+          {can(PERMISSIONS.viewEvents) ? (
+            <a
+              href="/stream"
+              className={`nav-link ${isActive("/stream") ? "active" : ""}`}
+            >
+              Stream
+            </a>
+          ) : null}
+          {session ? (
+            <a
+              href="/live"
+              className={`nav-link ${isActive("/live") ? "active" : ""}`}
+            >
+              Summary
+            </a>
+          ) : null}
+          {can(PERMISSIONS.answerQuestions) ? (
             <a
               href="/questions"
               className={`nav-link ${isActive("/questions") ? "active" : ""}`}
@@ -153,119 +144,114 @@ export default function Header({ title, subtitle }) {
               Questions
             </a>
           ) : null}
-          <a
-            href="/admin"
-            className={`nav-link ${isActive("/admin") ? "active" : ""}`}
-          >
-            Admin {adminUser ? <span className="badge-admin">Admin</span> : null}
-          </a>
+          {can(PERMISSIONS.manageQuestions) ? (
+            <a
+              href="/admin"
+              className={`nav-link ${isActive("/admin") ? "active" : ""}`}
+            >
+              Admin {isAdmin ? <span className="badge-admin">Admin</span> : null}
+            </a>
+          ) : null}
         </nav>
 
         {/* Right controls */}
         <div className="nav-actions">
+          {session && can(PERMISSIONS.viewDashboard) ? <DashboardSwitcher pathname={pathname} /> : null}
+          <ConnectionStatus />
           {loading ? (
             <span className="nav-loading" aria-live="polite">Loading…</span>
-          ) : (
-            <>
-              {/* User session */}
-              {user ? (
-                <div className="session session-user">
-                  <button
-                    className="avatar-pill"
-                    aria-haspopup="menu"
-                    aria-expanded={userMenuOpen ? "true" : "false"}
-                    onClick={(e) => {
-                      e.stopPropagation();
-                      setUserMenuOpen((v) => !v);
-                      setAdminMenuOpen(false);
-                    }}
-                    title={user?.email || user?.username || "User"}
-                  >
-                    <span className="avatar-circle">
-                      {Initial(user?.username || user?.email, "U")}
-                    </span>
-                    <span className="avatar-name">
-                      {user?.username || user?.email || "User"}
-                    </span>
-                    <span className="chev" aria-hidden="true">▾</span>
-                  </button>
-                  {userMenuOpen ? (
-                    <ul className="menu-dropdown" role="menu" aria-label="User menu">
-                      <li role="menuitem">
-                        <a className="menu-item" href="/" onClick={() => setUserMenuOpen(false)}>
-                          Dashboard
-                        </a>
-                      </li>
-                      <li role="menuitem">
-                        <a
-                          className="menu-item"
-                          href="/questions"
-                          onClick={() => setUserMenuOpen(false)}
-                        >
-                          Questions
-                        </a>
-                      </li>
-                      <li role="menuitem">
-                        <button className="menu-item danger" onClick={handleLogout}>
-                          Logout
-                        </button>
-                      </li>
-                    </ul>
+          ) : session ? (
+            <div className="session session-user">
+              <button
+                className={`avatar-pill ${isAdmin ? "admin" : ""}`}
+                aria-haspopup="menu"
+                aria-expanded={userMenuOpen ? "true" : "false"}
+                onClick={(e) => {
+                  e.stopPropagation();
+                  setUserMenuOpen((v) => !v);
+                }}
+                title={user?.email || user?.username || "User"}
+              >
+                <span className={`avatar-circle ${isAdmin ? "admin" : ""}`}>
+                  {Initial(user?.username || user?.email, "U")}
+                </span>
+                <span className="avatar-name">
+                  {user?.username || user?.email || "User"}
+                </span>
+                {roleLabels.map((label) => (
+                  <span key={label} className="role-badge">{label.toUpperCase()}</span>
+                ))}
+                <span className="chev" aria-hidden="true">▾</span>
+              </button>
+              {userMenuOpen ? (
+                <ul className="menu-dropdown" role="menu" aria-label="User menu">
+                  {can(PERMISSIONS.viewDashboard) ? (
+                    <li role="menuitem">
+                      <a className="menu-item" href="/" onClick={() => setUserMenuOpen(false)}>
+                        Dashboard
+                      </a>
+                    </li>
                   ) : null}
-                </div>
-              ) : (
-                <div className="auth-cta">
-                  <a className="btn-ghost" href="/login">Login</a>
-                  <a className="btn-solid" href="/signup">Sign up</a>
-                </div>
-              )}
-
-              {/* Admin session (separate) */}
-              <div className="session session-admin">
-                {adminUser ? (
-                  <>
-                    <button
-                      className="avatar-pill admin"
-                      aria-haspopup="menu"
-                      aria-expanded={adminMenuOpen ? "true" : "false"}
-                      onClick={(e) => {
-                        e.stopPropagation();
-                        setAdminMenuOpen((v) => !v);
-                        setUserMenuOpen(false);
-                      }}
-                      title={adminUser?.email || adminUser?.username || "Admin"}
-                    >
-                      <span className="avatar-circle admin">
-                        {Initial(adminUser?.username || adminUser?.email, "A")}
-                      </span>
-                      <span className="avatar-name">
-                        {adminUser?.username || adminUser?.email || "Admin"}
-                      </span>
-                      <span className="role-badge">ADMIN</span>
-                      <span className="chev" aria-hidden="true">▾</span>
+                  {can(PERMISSIONS.viewEvents) ? (
+                    <li role="menuitem">
+                      <a className="menu-item" href="/events" onClick={() => setUserMenuOpen(false)}>
+                        Events
+                      </a>
+                    </li>
+                  ) : null}
+                  {can(PERMISSIONS.viewEvents) ? (
+                    <li role="menuitem">
+                      <a className="menu-item" href="/stream" onClick={() => setUserMenuOpen(false)}>
+                        Live stream
+                      </a>
+                    </li>
+                  ) : null}
+                  <li role="menuitem">
+                    <a className="menu-item" href="/live" onClick={() => setUserMenuOpen(false)}>
+                      Live summary
+                    </a>
+                  </li>
+                  {can(PERMISSIONS.answerQuestions) ? (
+                    <li role="menuitem">
+                      <a
+                        className="menu-item"
+                        href="/questions"
+                        onClick={() => setUserMenuOpen(false)}
+                      >
+                        Questions
+                      </a>
+                    </li>
+                  ) : null}
+                  {can(PERMISSIONS.manageQuestions) ? (
+                    <li role="menuitem">
+                      <a className="menu-item" href="/admin" onClick={() => setUserMenuOpen(false)}>
+                        Admin Panel
+                      </a>
+                    </li>
+                  ) : null}
+                  {can(PERMISSIONS.admin) ? (
+                    <li role="menuitem">
+                      <a className="menu-item" href="/admin/generator" onClick={() => setUserMenuOpen(false)}>
+                        Event Generator
+                      </a>
+                    </li>
+                  ) : null}
+                  <li role="menuitem">
+                    <button className="menu-item danger" onClick={handleLogout}>
+                      Logout
                     </button>
-                    {adminMenuOpen ? (
-                      <ul className="menu-dropdown" role="menu" aria-label="Admin menu">
-                        <li role="menuitem">
-                          <a className="menu-item" href="/admin" onClick={() => setAdminMenuOpen(false)}>
-                            Admin Panel
-                          </a>
-                        </li>
-                        <li role="menuitem">
-                          <button className="menu-item danger" onClick={handleAdminLogout}>
-                            Logout Admin
-                          </button>
-                        </li>
-                      </ul>
-                    ) : null}
-                  </>
-                ) : (
-                  <a className="btn-ghost admin-link" href="/admin/login" aria-label="Admin login">
-                    Admin
-                  </a>
-                )}
-              </div>
-            </>
+                  </li>
+                </ul>
+              ) : null}
+            </div>
+          ) : (
+            <div className="auth-cta">
+              <a className="btn-ghost" href="/login">Login</a>
+              <a className="btn-solid" href="/signup">Sign up</a>
+              <a className="btn-ghost admin-link" href="/admin/login" aria-label="Admin login">
+                Admin
+              </a>
+            </div>
           )}
 
           {/* Hamburger for mobile */}
@@ -292,14 +278,43 @@ export default function Header({ title, subtitle }) {
         aria-hidden={mobileOpen ? "false" : "true"}
       >
         <nav className="mobile-nav" aria-label="Mobile">
-          <a
-            href="/"
-            className={`mobile-link ${isActive("/") ? "active" : ""}`}
-            onClick={() => setMobileOpen(false)}
-          >
-            Dashboard
-          </a>
-          {user ? (
+          {!session || can(PERMISSIONS.viewDashboard) ? (
+            <a
+              href="/"
+              className={`mobile-link ${isActive("/") ? "active" : ""}`}
+              onClick={() => setMobileOpen(false)}
+            >
+              Dashboard
+            </a>
+          ) : null}
+          {can(PERMISSIONS.viewEvents) ? (
+            <a
+              href="/events"
+              className={`mobile-link ${isActive("/events") ? "active" : ""}`}
+              onClick={() => setMobileOpen(false)}
+            >
+              Events
+            </a>
+          ) : null}
+          {can(PERMISSIONS.viewEvents) ? (
+            <a
+              href="/stream"
+              className={`mobile-link ${isActive("/stream") ? "active" : ""}`}
+              onClick={() => setMobileOpen(false)}
+            >
+              Stream
+            </a>
+          ) : null}
+          {session ? (
+            <a
+              href="/live"
+              className={`mobile-link ${isActive("/live") ? "active" : ""}`}
+              onClick={() => setMobileOpen(false)}
+            >
+              Summary
+            </a>
+          ) : null}
+          {can(PERMISSIONS.answerQuestions) ? (
             <a
               href="/questions"
               className={`mobile-link ${isActive("/questions") ? "active" : ""}`}
@@ -308,32 +323,43 @@ export default function Header({ title, subtitle }) {
               Questions
             </a>
           ) : null}
-          <a
-            href="/admin"
-            className={`mobile-link ${isActive("/admin") ? "active" : ""}`}
-            onClick={() => setMobileOpen(false)}
-          >
-            Admin {adminUser ? <span className="badge-admin">Admin</span> : null}
-          </a>
+          {can(PERMISSIONS.manageQuestions) ? (
+            <a
+              href="/admin"
+              className={`mobile-link ${pathname === "/admin" ? "active" : ""}`}
+              onClick={() => setMobileOpen(false)}
+            >
+              Admin {isAdmin ? <span className="badge-admin">Admin</span> : null}
+            </a>
+          ) : null}
+          {can(PERMISSIONS.admin) ? (
+            <a
+              href="/admin/generator"
+              className={`mobile-link ${isActive("/admin/generator") ? "active" : ""}`}
+              onClick={() => setMobileOpen(false)}
+            >
+              Event Generator
+            </a>
+          ) : null}
 
           <div className="mobile-divider" />
 
           {/* Mobile session controls */}
-          {user ? (
-            <>
-              <div className="mobile-section">
-                <div className="mobile-ident">
-                  <span className="avatar-circle">{Initial(user?.username || user?.email, "U")}</span>
-                  <div className="ident-text">
-                    <div className="ident-name">{user?.username || user?.email}</div>
-                    <div className="ident-role">User</div>
-                  </div>
+          {session ? (
+            <div className="mobile-section">
+              <div className="mobile-ident">
+                <span className={`avatar-circle ${isAdmin ? "admin" : ""}`}>
+                  {Initial(user?.username || user?.email, "U")}
+                </span>
+                <div className="ident-text">
+                  <div className="ident-name">{user?.username || user?.email}</div>
+                  <div className={`ident-role ${isAdmin ? "admin" : ""}`}>{roleLabels.join(" · ")}</div>
                 </div>
-                <button className="mobile-action danger" onClick={handleLogout}>
-                  Logout
-                </button>
               </div>
-            </>
+              <button className="mobile-action danger" onClick={handleLogout}>
+                Logout
+              </button>
+            </div>
           ) : (
             <div className="mobile-auth">
               <a className="btn-ghost block" href="/login" onClick={() => setMobileOpen(false)}>
@@ -342,32 +368,6 @@ export default function Header({ title, subtitle }) {
               <a className="btn-solid block" href="/signup" onClick={() => setMobileOpen(false)}>
                 Sign up
               </a>
-            </div>
-          )}
-
-          {/* Mobile admin session */}
-          <div className="mobile-section">
-            {adminUser ? (
-              <>
-                <div className="mobile-ident">
-                  <span className="avatar-circle admin">
-                    {Initial(adminUser?.username || adminUser?.email, "A")}
-                  </span>
-                  <div className="ident-text">
-                    <div className="ident-name">
-                      {adminUser?.username || adminUser?.email}
-                    </div>
-                    <div className="ident-role admin">Admin</div>
-                  </div>
-                </div>
-                <a className="mobile-action" href="/admin" onClick={() => setMobileOpen(false)}>
-                  Open Admin Panel
-                </a>
-                <button className="mobile-action danger" onClick={handleAdminLogout}>
-                  Logout Admin
-                </button>
-              </>
-            ) : (
               <a
                 className="btn-ghost block admin-link"
                 href="/admin/login"
@@ -375,8 +375,8 @@ export default function Header({ title, subtitle }) {
               >
                 Admin Login
               </a>
-            )}
-          </div>
+            </div>
+          )}
         </nav>
       </div>
 
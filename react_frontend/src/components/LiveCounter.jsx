@@ -1,4 +1,5 @@
 import React, { useEffect, useState } from "react";
+import { numberFmt } from "../utils/format.js";
 
 /**
  * PUBLIC_INTERFACE
@@ -17,7 +18,7 @@ export default function LiveCounter({ total }) {
   return (
     <div className="live-counter">
       <div className={`live-counter-number ${animate ? "bump" : ""}`}>
-        {total}
+        {numberFmt(total)}
       </div>
       <div className="live-counter-label">Total Events</div>
     </div>
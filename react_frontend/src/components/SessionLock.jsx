@@ -0,0 +1,196 @@
+import React, { useEffect, useState, useSyncExternalStore } from "react";
+import { useLocation, useNavigate } from "react-router-dom";
+import { getStoredUser, login, logout, setTokenRefreshPaused } from "../auth.js";
+import { adminLogin } from "../adminAuth.js";
+import { ROLES, hasRole, useSession } from "../session.js";
+import { isDisplayLocation } from "../displayMode.js";
+import { sessionUserKey } from "../sessionBus.js";
+import {
+  getIdleTimeoutMs,
+  getLastActivity,
+  isLocked,
+  lockSession,
+  recordActivity,
+  subscribeLock,
+  unlockSession,
+} from "../idleLock.js";
+
+const ACTIVITY_EVENTS = ["pointerdown", "pointermove", "keydown", "wheel", "touchstart", "scroll"];
+const CHECK_INTERVAL_MS = 10000;
+
+/**
+ * PUBLIC_INTERFACE
+ * SessionLock
+ * Wraps the routed app for signed-in sessions: tracks user activity and, after the
+ * configured inactivity timeout (stricter for admins, see idleLock.js), covers the
+ * app with a re-authentication overlay. The views stay mounted underneath (made
+ * inert while locked), so the dashboard keeps its state and live updates.
+ * Wallboard pages are exempt: nobody interacts with them and they may not use the session.
+ */
+export default function SessionLock({ children }) {
+  const session = useSession();
+  const location = useLocation();
+  const locked = useSyncExternalStore(subscribeLock, isLocked, isLocked);
+  const timeoutMs = getIdleTimeoutMs(session);
+  const active = Boolean(session) && timeoutMs > 0 && !isDisplayLocation(location);
+
+  // Activity tracking and the idle check
+  useEffect(() => {
+    if (!active) return undefined;
+    // A fresh sign-in starts a fresh idle clock
+    if (!isLocked()) recordActivity(true);
+    const onActivity = () => recordActivity();
+    const onVisible = () => {
+      if (document.visibilityState === "visible") check();
+    };
+    const check = () => {
+      if (Date.now() - getLastActivity() >= timeoutMs) lockSession();
+    };
+    for (const evt of ACTIVITY_EVENTS) {
+      window.addEventListener(evt, onActivity, { passive: true });
+    }
+    document.addEventListener("visibilitychange", onVisible);
+    const t = setInterval(check, CHECK_INTERVAL_MS);
+    return () => {
+      for (const evt of ACTIVITY_EVENTS) {
+        window.removeEventListener(evt, onActivity);
+      }
+      document.removeEventListener("visibilitychange", onVisible);
+      clearInterval(t);
+    };
+  }, [active, timeoutMs, session?.token]);
+
+  // Signing out (here or in another tab) drops a pending lock
+  useEffect(() => {
+    if (!session && isLocked()) unlockSession();
+  }, [session]);
+
+  const showLock = active && locked;
+
+  // A locked session must not keep itself alive
+  useEffect(() => {
+    if (!showLock) return undefined;
+    setTokenRefreshPaused(true);
+    return () => setTokenRefreshPaused(false);
+  }, [showLock]);
+
+  return (
+    <>
+      <div inert={showLock ? "" : undefined} aria-hidden={showLock ? "true" : undefined}>
+        {children}
+      </div>
+      {showLock ? <LockOverlay session={session} /> : null}
+    </>
+  );
+}
+
+function LockOverlay({ session }) {
+  const user = session?.user || {};
+  const isAdmin = hasRole(ROLES.admin, session);
+  // The account that was locked; only it may unlock (sign-in replaces `session`)
+  const [lockedKey] = useState(() => sessionUserKey(session?.user));
+  const navigate = useNavigate();
+  const [email, setEmail] = useState(user.email || "");
+  const [password, setPassword] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError("");
+    try {
+      // Admins re-authenticate through the admin endpoint so the admin role is kept
+      await (isAdmin ? adminLogin : login)({ email, password });
+      setPassword("");
+      if (!lockedKey || sessionUserKey(getStoredUser()) !== lockedKey) {
+        // Someone else signed in: end the session rather than hand them this one
+        await logout();
+        unlockSession();
+        navigate(isAdmin ? "/admin/login" : "/login", {
+          replace: true,
+          state: { error: "The screen was locked for a different account, so you have been signed out." },
+        });
+        return;
+      }
+      unlockSession();
+    } catch (err) {
+      setError(err?.message || "Could not verify your password");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const onSignOut = async () => {
+    await logout();
+    unlockSession();
+    if (typeof window !== "undefined") {
+      window.location.href = isAdmin ? "/admin/login" : "/login";
+    }
+  };
+
+  return (
+    <div className="lock-overlay" role="dialog" aria-modal="true" aria-labelledby="lock-title">
+      <div className={`auth-card glass-card lock-card ${isAdmin ? "theme-admin" : "theme-user"}`}>
+        <div className="auth-headblock">
+          <div className="auth-icon" aria-hidden="true">🔒</div>
+          <div className="auth-headtext">
+            <h2 id="lock-title" className="auth-title">Screen locked</h2>
+            <p className="auth-subtitle">
+              Locked after inactivity. Enter your password to continue
+              {user.username || user.email ? ` as ${user.username || user.email}` : ""}.
+            </p>
+          </div>
+        </div>
+
+        {error ? <div className="auth-error" role="alert">{error}</div> : null}
+
+        <form onSubmit={onSubmit} className="auth-form">
+          {!user.email ? (
+            <div className="auth-field">
+              <label className="auth-label" htmlFor="lock-email">Email</label>
+              <input
+                id="lock-email"
+                type="email"
+                className="auth-input"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                autoComplete="username"
+                required
+              />
+            </div>
+          ) : null}
+          <div className="auth-field">
+            <label className="auth-label" htmlFor="lock-password">Password</label>
+            <input
+              id="lock-password"
+              type="password"
+              className="auth-input"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete="current-password"
+              autoFocus
+              required
+              disabled={submitting}
+            />
+          </div>
+          <button
+            className={`btn-primary auth-submit ${submitting ? "is-loading" : ""}`}
+            type="submit"
+            disabled={submitting || !password}
+            aria-busy={submitting ? "true" : "false"}
+          >
+            {submitting ? "Unlocking…" : "Unlock"}
+          </button>
+        </form>
+
+        <div className="auth-alt">
+          Not you?{" "}
+          <button type="button" className="btn-link" onClick={onSignOut}>
+            Sign out
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
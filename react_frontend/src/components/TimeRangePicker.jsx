@@ -0,0 +1,173 @@
+import React, { useEffect, useRef, useState } from "react";
+import {
+  TIME_RANGE_PRESETS,
+  absoluteTimeRange,
+  formatTimeRange,
+  parseTimeRange,
+  relativeTimeRange,
+  resolveTimeRange,
+} from "../utils/timeRange.js";
+import { formatTimezone, fromDateTimeInput, toDateTimeInput } from "../utils/timezone.js";
+import { useDisplayTimezone } from "../displayTimezone.js";
+
+const UNITS = [
+  { value: "m", label: "minutes" },
+  { value: "h", label: "hours" },
+  { value: "d", label: "days" },
+];
+
+// Inputs of the relative and custom forms for a range value: its amount/unit when
+// relative (else 30 minutes) and its resolved from/to in the display timezone
+function draftOf(value, timezone) {
+  const parsed = parseTimeRange(value);
+  const resolved = resolveTimeRange(value);
+  return {
+    amount: parsed?.type === "relative" ? String(parsed.amount) : "30",
+    unit: parsed?.type === "relative" ? parsed.unit : "m",
+    from: toDateTimeInput(resolved?.from, timezone),
+    to: toDateTimeInput(resolved?.to, timezone),
+  };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * TimeRangePicker
+ * Dashboard-level time range control: presets, a relative "last N minutes/hours/days"
+ * range and a custom absolute from/to range, entered in the display timezone.
+ * `value` and onChange(value) use the range strings of utils/timeRange.js. The form
+ * inputs follow `value` whenever it changes (e.g. back/forward) and when the panel opens.
+ */
+export default function TimeRangePicker({ value, onChange }) {
+  const timezone = useDisplayTimezone();
+  const [open, setOpen] = useState(false);
+  const [amount, setAmount] = useState(() => draftOf(value, timezone).amount);
+  const [unit, setUnit] = useState(() => draftOf(value, timezone).unit);
+  const [from, setFrom] = useState(() => draftOf(value, timezone).from);
+  const [to, setTo] = useState(() => draftOf(value, timezone).to);
+  const [error, setError] = useState("");
+  const rootRef = useRef(null);
+
+  const resetDraft = () => {
+    const draft = draftOf(value, timezone);
+    setAmount(draft.amount);
+    setUnit(draft.unit);
+    setFrom(draft.from);
+    setTo(draft.to);
+    setError("");
+  };
+
+  // A new value or timezone from outside replaces whatever was typed
+  const draftKey = `${value}|${timezone}`;
+  const [syncedKey, setSyncedKey] = useState(draftKey);
+  if (syncedKey !== draftKey) {
+    setSyncedKey(draftKey);
+    resetDraft();
+  }
+
+  // Close when clicking outside the picker
+  useEffect(() => {
+    if (!open) return undefined;
+    const onDocClick = (e) => {
+      if (rootRef.current && !rootRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener("click", onDocClick);
+    return () => document.removeEventListener("click", onDocClick);
+  }, [open]);
+
+  const choose = (next) => {
+    setError("");
+    setOpen(false);
+    if (next && next !== value) onChange(next);
+  };
+
+  const applyRelative = (e) => {
+    e.preventDefault();
+    const next = relativeTimeRange(amount, unit);
+    if (!next) {
+      setError("Enter a whole number between 1 and 9999");
+      return;
+    }
+    choose(next);
+  };
+
+  const applyAbsolute = (e) => {
+    e.preventDefault();
+    const start = fromDateTimeInput(from, timezone);
+    const end = fromDateTimeInput(to, timezone);
+    const next = start && end ? absoluteTimeRange(start, end) : null;
+    if (!next) {
+      setError("Choose a start before the end");
+      return;
+    }
+    choose(next);
+  };
+
+  return (
+    <div className="session time-range" ref={rootRef}>
+      <button
+        className="btn-ghost time-range-btn"
+        aria-haspopup="dialog"
+        aria-expanded={open ? "true" : "false"}
+        onClick={() => {
+          if (!open) resetDraft();
+          setOpen(!open);
+        }}
+        title="Time range for every widget"
+      >
+        <span aria-hidden="true">🕒</span>
+        <span className="switcher-name">{formatTimeRange(value)}</span>
+        <span className="chev" aria-hidden="true">▾</span>
+      </button>
+      {open ? (
+        <div className="menu-dropdown time-range-panel" role="dialog" aria-label="Time range">
+          <div className="time-range-presets" role="group" aria-label="Presets">
+            {TIME_RANGE_PRESETS.map((p) => (
+              <button
+                key={p.value}
+                className={`segmented-btn ${value === p.value ? "active" : ""}`}
+                onClick={() => choose(p.value)}
+                aria-pressed={value === p.value}
+              >
+                {p.label}
+              </button>
+            ))}
+          </div>
+
+          <form className="time-range-row" onSubmit={applyRelative} aria-label="Relative range">
+            <span className="muted">Last</span>
+            <input
+              className="layout-add time-range-amount"
+              type="number"
+              min="1"
+              max="9999"
+              value={amount}
+              onChange={(e) => setAmount(e.target.value)}
+              aria-label="Amount"
+            />
+            <select className="layout-add" value={unit} onChange={(e) => setUnit(e.target.value)} aria-label="Unit">
+              {UNITS.map((u) => (
+                <option key={u.value} value={u.value}>{u.label}</option>
+              ))}
+            </select>
+            <button className="btn-ghost" type="submit">Apply</button>
+          </form>
+
+          <form className="time-range-row" onSubmit={applyAbsolute} aria-label="Custom range">
+            <label className="muted">
+              From
+              <input className="layout-add" type="datetime-local" value={from} onChange={(e) => setFrom(e.target.value)} />
+            </label>
+            <label className="muted">
+              To
+              <input className="layout-add" type="datetime-local" value={to} onChange={(e) => setTo(e.target.value)} />
+            </label>
+            <button className="btn-ghost" type="submit">Apply</button>
+            <span className="muted time-range-tz">{formatTimezone(timezone)}</span>
+          </form>
+
+          {error ? <div className="save-error" role="alert">{error}</div> : null}
+        </div>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,36 @@
+import React, { useMemo } from "react";
+import { setDisplayTimezone, useDisplayTimezone } from "../displayTimezone.js";
+import { browserTimezone, formatTimezone, listTimezones } from "../utils/timezone.js";
+
+/**
+ * PUBLIC_INTERFACE
+ * TimezonePicker
+ * Select for the display timezone every metric is bucketed and labelled in
+ * (see displayTimezone.js). The choice is remembered in this browser; pass
+ * onChange(tz) to handle it yourself instead.
+ */
+export default function TimezonePicker({ onChange = setDisplayTimezone }) {
+  const timezone = useDisplayTimezone();
+  const options = useMemo(() => {
+    const local = browserTimezone();
+    return listTimezones().map((tz) => ({
+      value: tz,
+      label: `${formatTimezone(tz)}${tz === local ? " · browser" : ""}`,
+    }));
+  }, []);
+
+  return (
+    <select
+      className="layout-add timezone-picker"
+      value={timezone}
+      onChange={(e) => onChange(e.target.value)}
+      aria-label="Display timezone"
+      title="Timezone for days, hours and “today” on every widget"
+    >
+      {options.some((o) => o.value === timezone) ? null : <option value={timezone}>{formatTimezone(timezone)}</option>}
+      {options.map((o) => (
+        <option key={o.value} value={o.value}>{o.label}</option>
+      ))}
+    </select>
+  );
+}
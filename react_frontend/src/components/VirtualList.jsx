@@ -0,0 +1,43 @@
+import React, { useState } from "react";
+
+/**
+ * PUBLIC_INTERFACE
+ * VirtualList
+ * Scrollable list of fixed-height rows that only mounts the rows in view (plus
+ * `overscan` above and below), so thousands of items stay cheap to render.
+ * Props: items, rowHeight (px), height (px of the viewport), renderRow(item, index),
+ * getKey(item, index), optional overscan and aria-label.
+ */
+export default function VirtualList({ items, rowHeight, height, renderRow, getKey, overscan = 8, "aria-label": ariaLabel }) {
+  const [scrollTop, setScrollTop] = useState(0);
+  const total = items.length;
+  const first = Math.max(0, Math.floor(scrollTop / rowHeight) - overscan);
+  const last = Math.min(total, Math.ceil((scrollTop + height) / rowHeight) + overscan);
+
+  const rows = [];
+  for (let i = first; i < last; i++) {
+    rows.push(
+      <div
+        key={getKey(items[i], i)}
+        className="virtual-row"
+        role="listitem"
+        style={{ position: "absolute", top: i * rowHeight, left: 0, right: 0, height: rowHeight }}
+      >
+        {renderRow(items[i], i)}
+      </div>
+    );
+  }
+
+  return (
+    <div
+      className="virtual-list"
+      style={{ height, overflowY: "auto", position: "relative" }}
+      onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      role="list"
+      aria-label={ariaLabel}
+      tabIndex={0}
+    >
+      <div style={{ height: total * rowHeight, position: "relative" }}>{rows}</div>
+    </div>
+  );
+}
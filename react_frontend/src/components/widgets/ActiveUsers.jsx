@@ -0,0 +1,121 @@
+import React, { useMemo } from "react";
+import { ResponsiveContainer, ComposedChart, Area, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend } from "recharts";
+import { numberFmt, getMinAvgMax, percentFmt, timeFmt } from "../../utils/format.js";
+import { ChangeBadge, EmptyState, isComparing, rangeLabel } from "./shared.jsx";
+
+/**
+ * PUBLIC_INTERFACE
+ * ActiveUsers
+ * Unique users active per minute or hour over the dashboard time range, with
+ * average/peak badges. When comparing, the previous period is drawn as a ghost
+ * line and the badges show the percent change versus that period.
+ */
+export default function ActiveUsers({ data }) {
+  const { activeUsersData, auLoading, auError } = data;
+  const granularity = data.granularities?.activeUsers || "minute";
+  const comparing = isComparing(data);
+  const previousSeries = comparing ? data.previous?.activeUsers || [] : undefined;
+  const stats = useMemo(
+    () => getMinAvgMax(activeUsersData, (d) => d.count, previousSeries),
+    [activeUsersData, previousSeries]
+  );
+
+  return (
+    <>
+      <h3 className="dash-heading">Active Users</h3>
+      <p className="dash-subheading">Unique users active per {granularity} · {rangeLabel(data, "Last 10 minutes")}</p>
+
+      <div className="control-row" style={{ justifyContent: "space-between", alignItems: "center" }}>
+        <div className="kpi-badges" aria-label="Average and peak active users">
+          <span className="kpi-badge avg" title={`Average per ${granularity} in range`}>
+            Avg: {numberFmt(Math.round(stats.avg))}{comparing ? ` (${percentFmt(stats.change.avg)})` : ""}
+          </span>
+          <span className="kpi-badge max" title={`Peak per ${granularity} in range`}>
+            Peak: {numberFmt(stats.max)}{comparing ? ` (${percentFmt(stats.change.max)})` : ""}
+          </span>
+        </div>
+        {comparing ? <ChangeBadge current={stats.avg} previous={stats.previous.avg} /> : null}
+      </div>
+
+      <div className="chart-container chart-gradient" style={{ position: "relative" }}>
+        {auLoading && (
+          <div className="empty-state" role="status" aria-live="polite" style={{ position: "absolute", inset: 0, display: "flex", alignItems: "center", justifyContent: "center" }}>
+            <div className="spinner" aria-hidden="true" />
+            <span className="sr-only">Loading active users…</span>
+          </div>
+        )}
+        {!auLoading && auError && (
+          <div className="empty-state" role="alert" style={{ position: "absolute", inset: 0, display: "flex", alignItems: "center", justifyContent: "center" }}>
+            <span className="empty-icon" aria-hidden="true">⚠</span>
+            <span>{auError}</span>
+          </div>
+        )}
+        {!auLoading && !auError && activeUsersData.length === 0 ? (
+          <EmptyState>No data in this range</EmptyState>
+        ) : null}
+
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart data={activeUsersData} margin={{ top: 10, right: 16, left: 0, bottom: 0 }}>
+            <defs>
+              <linearGradient id="auGradientFill" x1="0" y1="0" x2="0" y2="1">
+                <stop offset="0%" stopColor="#2563EB" stopOpacity={0.25} />
+                <stop offset="100%" stopColor="#2563EB" stopOpacity={0.02} />
+              </linearGradient>
+            </defs>
+            <CartesianGrid strokeDasharray="3 3" stroke="var(--chart-grid-stroke)" />
+            <XAxis
+              dataKey="minute"
+              stroke="var(--chart-axis-stroke)"
+              tick={{ fontSize: 12 }}
+              tickFormatter={(v) => timeFmt(v)}
+              tickLine={false}
+              axisLine={{ stroke: "var(--chart-grid-stroke)" }}
+              minTickGap={24}
+            />
+            <YAxis
+              allowDecimals={false}
+              stroke="var(--chart-axis-stroke)"
+              tick={{ fontSize: 12 }}
+              tickFormatter={numberFmt}
+              tickLine={false}
+              axisLine={{ stroke: "var(--chart-grid-stroke)" }}
+              width={40}
+            />
+            <Tooltip
+              contentStyle={{ borderRadius: 8, borderColor: "var(--chart-grid-stroke)" }}
+              labelStyle={{ color: "var(--text-color, #111827)", fontWeight: 600 }}
+              formatter={(value, name, props) => [
+                `${numberFmt(value)} users`,
+                props?.dataKey === "prev" ? "Previous period" : "Active Users",
+              ]}
+              labelFormatter={(l) => timeFmt(l)}
+            />
+            <Legend verticalAlign="top" height={24} wrapperStyle={{ fontSize: 12 }} />
+            <Area
+              type="monotone"
+              dataKey="count"
+              name="Active Users"
+              stroke="#2563EB"
+              strokeWidth={2}
+              fill="url(#auGradientFill)"
+              activeDot={{ r: 4, strokeWidth: 2, stroke: "#2563EB", fill: "#fff" }}
+              dot={false}
+            />
+            {comparing ? (
+              <Line
+                type="monotone"
+                dataKey="prev"
+                name="Previous period"
+                stroke="var(--chart-axis-stroke)"
+                strokeDasharray="5 4"
+                strokeWidth={2}
+                dot={false}
+                connectNulls
+              />
+            ) : null}
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,163 @@
+import React, { useMemo } from "react";
+import { ResponsiveContainer, ComposedChart, Bar, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend } from "recharts";
+import { numberFmt as nf, dateFmtYMD, dateFmtFull, getMinAvgMax, deltaArrow, percentFmt } from "../../utils/format.js";
+import { ChangeBadge, EmptyState, isComparing, rangeLabel, useDrillDown } from "./shared.jsx";
+
+// Stable fallback so the stats memo below is not recomputed on every render
+const NO_PREVIOUS = [];
+
+/**
+ * PUBLIC_INTERFACE
+ * DailySignups
+ * New accounts per day with a 7-day moving average, min/avg/max badges,
+ * day-over-day change and a last-7-days table, over the dashboard time range.
+ * When comparing, the previous period is drawn as a ghost line and the total and
+ * badges show the percent change versus that period. Clicking a bar opens that
+ * day's signup events in the event explorer.
+ */
+export default function DailySignups({ data }) {
+  const { signupsData, signupsWithMA } = data;
+  const comparing = isComparing(data);
+  const previousSignups = comparing ? data.previous?.signups || NO_PREVIOUS : undefined;
+  const drill = useDrillDown(data);
+
+  const signupsTotal = useMemo(() => signupsData.reduce((a, b) => a + Number(b.count || 0), 0), [signupsData]);
+  const signupsStats = useMemo(
+    () => getMinAvgMax(signupsData, (d) => d.count, previousSignups),
+    [signupsData, previousSignups]
+  );
+  const change = (key) => (comparing ? ` (${percentFmt(signupsStats.change[key])})` : "");
+  const signupsLatest = useMemo(() => (signupsData.length ? signupsData[signupsData.length - 1].count : 0), [signupsData]);
+  const signupsPrev = useMemo(() => (signupsData.length > 1 ? signupsData[signupsData.length - 2].count : 0), [signupsData]);
+  const signupsDelta = useMemo(() => deltaArrow(signupsLatest, signupsPrev), [signupsLatest, signupsPrev]);
+
+  const last7 = useMemo(() => {
+    const arr = [...signupsData];
+    return arr.slice(Math.max(0, arr.length - 7)).map((d, i, sliced) => {
+      const prev = i > 0 ? sliced[i - 1].count : null;
+      return {
+        ...d,
+        delta: prev == null ? null : Number(d.count || 0) - Number(prev || 0),
+      };
+    });
+  }, [signupsData]);
+
+  return (
+    <>
+      <h3 className="dash-heading">Daily Signups</h3>
+      <p className="dash-subheading">New user accounts per day with 7-day moving average · {rangeLabel(data, "Last 14 days")}</p>
+
+      {/* KPI Row */}
+      <div className="control-row" style={{ justifyContent: "space-between", alignItems: "center" }}>
+        <div>
+          <div className="kpi-total">{nf(signupsTotal)} total signups</div>
+          {comparing ? <ChangeBadge current={signupsStats.sum} previous={signupsStats.previous.sum} /> : null}
+          <div className={`kpi-sub ${signupsDelta.colorClass}`} title="Day-over-day change">
+            {signupsDelta.arrow} {nf(Math.abs(signupsDelta.delta))} DoD
+          </div>
+        </div>
+        <div className="kpi-badges" aria-label="Min/Avg/Max">
+          <span className="kpi-badge min" title="Minimum per-day in range">Min: {nf(signupsStats.min)}{change("min")}</span>
+          <span className="kpi-badge avg" title="Average per-day in range">Avg: {nf(Math.round(signupsStats.avg))}{change("avg")}</span>
+          <span className="kpi-badge max" title="Maximum per-day in range">Max: {nf(signupsStats.max)}{change("max")}</span>
+        </div>
+      </div>
+
+      <div className="chart-container chart-gradient">
+        {signupsWithMA.length === 0 ? (
+          <EmptyState />
+        ) : (
+          <ResponsiveContainer width="100%" height="100%">
+            <ComposedChart
+              data={signupsWithMA}
+              margin={{ top: 10, right: 16, left: 0, bottom: 0 }}
+              role="img"
+              aria-label="Bar and line chart showing daily signups and 7-day moving average"
+            >
+              <CartesianGrid strokeDasharray="3 3" stroke="var(--chart-grid-stroke)" />
+              <XAxis dataKey="date" stroke="var(--chart-axis-stroke)" tick={{ fontSize: 12 }} tickFormatter={dateFmtYMD} />
+              <YAxis allowDecimals={false} stroke="var(--chart-axis-stroke)" tick={{ fontSize: 12 }} tickFormatter={nf} />
+              <Tooltip
+                labelFormatter={(label) => `Date: ${dateFmtFull(label)}`}
+                formatter={(value, name, props) => {
+                  const key = props?.dataKey;
+                  if (key === "ma") {
+                    return [`${nf(value)} (7d MA)`, "Moving Avg"];
+                  }
+                  if (key === "prev") {
+                    return [`${nf(value)} signups`, "Previous period"];
+                  }
+                  return [`${nf(value)} signups`, "Signups"];
+                }}
+              />
+              <Legend formatter={(value) => <span style={{ color: "var(--chart-legend-text)" }}>{value}</span>} />
+              <Bar
+                dataKey="count"
+                name="Signups"
+                fill="var(--chart-palette-1)"
+                radius={[8, 8, 0, 0]}
+                cursor={drill ? "pointer" : undefined}
+                onClick={drill ? (bar) => drill({ type: "signup", date: bar?.payload?.date ?? bar?.date, timeRange: null }) : undefined}
+              />
+              <Line
+                type="monotone"
+                dataKey="ma"
+                name="7d MA"
+                stroke="var(--color-secondary)"
+                strokeWidth={2}
+                dot={{ r: 0 }}
+                activeDot={{ r: 5 }}
+              />
+              {comparing ? (
+                <Line
+                  type="monotone"
+                  dataKey="prev"
+                  name="Previous period"
+                  stroke="var(--chart-axis-stroke)"
+                  strokeDasharray="5 4"
+                  strokeWidth={2}
+                  dot={false}
+                  connectNulls
+                />
+              ) : null}
+            </ComposedChart>
+          </ResponsiveContainer>
+        )}
+      </div>
+
+      {/* Last 7 days mini table */}
+      <table className="mini-table" role="table" aria-label="Last 7 days signups">
+        <thead>
+          <tr>
+            <th>Date</th>
+            <th>Count</th>
+            <th>Delta</th>
+          </tr>
+        </thead>
+        <tbody>
+          {last7.map((d) => {
+            const delta = d.delta;
+            const cls = delta == null ? "flat" : delta > 0 ? "up" : delta < 0 ? "down" : "flat";
+            const arrow = delta == null ? "–" : delta > 0 ? "▲" : delta < 0 ? "▼" : "–";
+            return (
+              <tr key={d.date}>
+                <td title={dateFmtFull(d.date)}>{dateFmtYMD(d.date)}</td>
+                <td>{nf(d.count)}</td>
+                <td>
+                  <span className={`mini-pill ${cls}`}>
+                    {arrow} {delta == null ? "n/a" : nf(Math.abs(delta))}
+                  </span>
+                </td>
+              </tr>
+            );
+          })}
+          {last7.length === 0 ? (
+            <tr>
+              <td colSpan="3" className="muted">No recent days</td>
+            </tr>
+          ) : null}
+        </tbody>
+      </table>
+    </>
+  );
+}
@@ -0,0 +1,67 @@
+import React from "react";
+import { EmptyState, rangeLabel, timezoneLabel, useDrillDown } from "./shared.jsx";
+
+const DAY_LABELS = ["Su", "Mo", "Tu", "We", "Th", "Fr", "Sa"];
+
+// Enter/Space on a focused cell acts like a click
+function activateOnKey(e, action) {
+  if (e.key !== "Enter" && e.key !== " ") return;
+  e.preventDefault();
+  action();
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * EventHeatmap
+ * Events by day of week and hour, in the display timezone, over the dashboard time range.
+ * Clicking a cell opens the events of that day and hour in the event explorer.
+ */
+export default function EventHeatmap({ data }) {
+  const { heatmapMatrix } = data;
+  const drill = useDrillDown(data);
+  return (
+    <>
+      <h3 className="dash-heading">Event Heatmap</h3>
+      <p className="dash-subheading">Events by day of week and hour ({timezoneLabel(data)}) · {rangeLabel(data, "Last 7 days")}</p>
+      <div className="heatmap-container">
+        {heatmapMatrix.flat().length === 0 ? (
+          <EmptyState />
+        ) : (
+          <div role="img" aria-label="Heatmap grid (rows: days Su-Sa, columns: hours 0-23)" className="heatmap-grid-wrapper">
+            <div className="heatmap-grid">
+              <div className="heatmap-header">D/H</div>
+              {Array.from({ length: 24 }).map((_, h) => (
+                <div key={`h-${h}`} className="heatmap-header">{h}</div>
+              ))}
+              {DAY_LABELS.map((dLabel, d) => (
+                <React.Fragment key={`row-${d}`}>
+                  <div className="heatmap-header">{dLabel}</div>
+                  {Array.from({ length: 24 }).map((_, h) => {
+                    const val = heatmapMatrix?.[d]?.[h] ?? 0;
+                    const max = 10;
+                    const intensity = Math.min(1, val / max);
+                    const bg = `rgba(37,99,235,${0.1 + intensity * 0.5})`;
+                    const open = drill ? () => drill({ dow: d, hour: h }) : undefined;
+                    return (
+                      <div
+                        key={`cell-${d}-${h}`}
+                        title={`Day ${dLabel}, Hour ${h}: ${val}`}
+                        className={`heatmap-cell ${drill ? "drillable" : ""}`}
+                        style={{ background: val === 0 ? "#eef2ff" : bg }}
+                        role={drill ? "button" : undefined}
+                        tabIndex={drill ? 0 : undefined}
+                        aria-label={drill ? `Show events on ${dLabel} at hour ${h} (${val})` : undefined}
+                        onClick={open}
+                        onKeyDown={open ? (e) => activateOnKey(e, open) : undefined}
+                      />
+                    );
+                  })}
+                </React.Fragment>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,56 @@
+import React from "react";
+import { ResponsiveContainer, PieChart, Pie, Cell, Tooltip, Legend } from "recharts";
+import { numberFmt as nf } from "../../utils/format.js";
+import { COLORS, EmptyState, rangeLabel, useDrillDown } from "./shared.jsx";
+
+/**
+ * PUBLIC_INTERFACE
+ * EventTypes
+ * Donut chart of the event distribution by type. Clicking a slice opens the
+ * events of that type in the event explorer.
+ */
+export default function EventTypes({ data }) {
+  const donutData = data.donutData || [];
+  const drill = useDrillDown(data);
+  return (
+    <>
+      <h3 className="dash-heading">Events by Type</h3>
+      <p className="dash-subheading">Share of events across categories · {rangeLabel(data, "All time")}</p>
+      <div className="chart-container chart-gradient">
+        {donutData.length === 0 ? (
+          <EmptyState />
+        ) : (
+          <ResponsiveContainer width="100%" height="100%">
+            <PieChart role="img" aria-label="Donut chart showing events distribution by type">
+              <Pie
+                data={donutData}
+                dataKey="value"
+                nameKey="name"
+                innerRadius={60}
+                outerRadius={96}
+                paddingAngle={2}
+                onClick={drill ? (slice) => drill({ type: slice?.payload?.name ?? slice?.name }) : undefined}
+              >
+                {donutData.map((d, idx) => (
+                  <Cell key={`cell-${idx}`} fill={COLORS[idx % COLORS.length]} cursor={drill ? "pointer" : undefined} />
+                ))}
+              </Pie>
+              <Tooltip
+                formatter={(value, name, props) => {
+                  const total = donutData.reduce((a, b) => a + b.value, 0);
+                  return [`${nf(value)} (${((value / (total || 1)) * 100).toFixed(1)}%)`, props?.payload?.name || name];
+                }}
+                labelFormatter={(label) => `Type: ${label}`}
+              />
+              <Legend
+                verticalAlign="bottom"
+                height={40}
+                formatter={(value) => <span style={{ color: "var(--chart-legend-text)" }} aria-label={`Legend: ${value}`}>{value}</span>}
+              />
+            </PieChart>
+          </ResponsiveContainer>
+        )}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,51 @@
+import React from "react";
+import { getStoredUser } from "../../auth.js";
+import { timeFmt } from "../../utils/format.js";
+import { rangeLabel } from "./shared.jsx";
+
+/**
+ * PUBLIC_INTERFACE
+ * RecentActivity
+ * Table of the most recent user events in the dashboard time range.
+ */
+export default function RecentActivity({ data }) {
+  const { recentActivity } = data;
+  const user = getStoredUser();
+
+  return (
+    <>
+      <h3 className="dash-heading">Recent Activity</h3>
+      <p className="dash-subheading">Most recent user events with timestamps · {rangeLabel(data, "Latest")}</p>
+      <div className="table-scroll">
+        <table className="table" role="table" aria-label="Recent activity list">
+          <thead>
+            <tr>
+              <th style={{ width: "30%" }} scope="col">Username</th>
+              <th style={{ width: "30%" }} scope="col">Event Type</th>
+              <th scope="col">Timestamp</th>
+            </tr>
+          </thead>
+          <tbody>
+            {(recentActivity || []).map((e, idx) => {
+              const ts = e.timestamp ? timeFmt(e.timestamp) : "-";
+              return (
+                <tr key={e._id || `${e.username}-${e.timestamp}-${idx}`}>
+                  <td>{e.username || user?.username || "-"}</td>
+                  <td>
+                    <span className={`pill pill-${(e.event_type || "unknown").toLowerCase()}`}>{e.event_type}</span>
+                  </td>
+                  <td>{ts}</td>
+                </tr>
+              );
+            })}
+            {(!recentActivity || recentActivity.length === 0) ? (
+              <tr>
+                <td colSpan="3" className="muted">No data yet</td>
+              </tr>
+            ) : null}
+          </tbody>
+        </table>
+      </div>
+    </>
+  );
+}
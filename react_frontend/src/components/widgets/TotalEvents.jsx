@@ -0,0 +1,20 @@
+import React from "react";
+import { rangeLabel } from "./shared.jsx";
+
+/**
+ * PUBLIC_INTERFACE
+ * TotalEvents
+ * Live counter of events in the dashboard time range (all time without one).
+ */
+export default function TotalEvents({ data }) {
+  return (
+    <>
+      <h3 className="dash-heading">Total Events</h3>
+      <p className="dash-subheading">Number of user-generated events · {rangeLabel(data, "All time")}</p>
+      <div className="live-counter" role="status" aria-live="polite" aria-label="Total Events counter">
+        <div className="live-counter-number">{data.totalEvents}</div>
+        <div className="live-counter-label">Total Events ({rangeLabel(data, "all time")})</div>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,71 @@
+import React from "react";
+import { ResponsiveContainer, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip } from "recharts";
+import { numberFmt as nf, timeFmt } from "../../utils/format.js";
+import { ChangeBadge, EmptyState, isComparing, rangeLabel, timezoneLabel } from "./shared.jsx";
+
+/**
+ * PUBLIC_INTERFACE
+ * UsersAnsweredToday
+ * Unique users who submitted answers in the dashboard time range (today without
+ * one, in the timezone the backend reports), as a counter and a line per minute
+ * or hour. When comparing, the previous period is drawn as a ghost line and the
+ * total shows the percent change.
+ */
+export default function UsersAnsweredToday({ data }) {
+  const series = data.usersAnsweredSeries || [];
+  const granularity = data.granularities?.usersToday || "minute";
+  const period = rangeLabel(data, "Today");
+  const tz = timezoneLabel(data, data.usersAnsweredToday?.timezone);
+  const comparing = isComparing(data);
+  return (
+    <>
+      <h3 className="dash-heading">Users Answered</h3>
+      <p className="dash-subheading">Unique users who submitted answers · {period} ({tz})</p>
+      <div className="live-counter" role="status" aria-live="polite" aria-label="Users answered total">
+        <div className="live-counter-number">{Number(data.usersAnsweredToday?.total || 0)}</div>
+        <div className="live-counter-label">Total ({period})</div>
+        {comparing ? (
+          <ChangeBadge current={data.usersAnsweredToday?.total} previous={data.previous?.usersToday?.total} />
+        ) : null}
+      </div>
+      <div className="chart-container chart-sm chart-gradient">
+        {series.length === 0 ? (
+          <EmptyState />
+        ) : (
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={series} margin={{ top: 10, right: 16, left: 0, bottom: 0 }} role="img" aria-label={`Users answered per ${granularity}`}>
+              <CartesianGrid strokeDasharray="3 3" stroke="var(--chart-grid-stroke)" />
+              <XAxis dataKey="time" stroke="var(--chart-axis-stroke)" tick={{ fontSize: 12 }} tickFormatter={(v) => timeFmt(v)} />
+              <YAxis allowDecimals={false} stroke="var(--chart-axis-stroke)" tick={{ fontSize: 12 }} tickFormatter={nf} />
+              <Tooltip
+                labelFormatter={(label) => `Time: ${timeFmt(label)}`}
+                formatter={(value, name, props) => [`${nf(value)} users`, props?.dataKey === "prev" ? "Previous period" : "Unique Users"]}
+              />
+              <Line
+                type="monotone"
+                dataKey="value"
+                name="Unique Users"
+                stroke="var(--color-secondary)"
+                strokeWidth={2}
+                dot={{ r: 2 }}
+                activeDot={{ r: 5 }}
+              />
+              {comparing ? (
+                <Line
+                  type="monotone"
+                  dataKey="prev"
+                  name="Previous period"
+                  stroke="var(--chart-axis-stroke)"
+                  strokeDasharray="5 4"
+                  strokeWidth={2}
+                  dot={false}
+                  connectNulls
+                />
+              ) : null}
+            </LineChart>
+          </ResponsiveContainer>
+        )}
+      </div>
+    </>
+  );
+}
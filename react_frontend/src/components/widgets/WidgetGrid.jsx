@@ -0,0 +1,141 @@
+import React, { useRef, useState } from "react";
+import { MAX_WIDGET_H, getWidget } from "./registry.js";
+
+// Pointer distance (px) per row step when resizing with the corner handle
+const ROW_STEP_PX = 240;
+
+function moveItem(list, from, to) {
+  if (from === to || from < 0 || to < 0 || from >= list.length || to >= list.length) return list;
+  const next = [...list];
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * WidgetGrid
+ * Renders the visible widgets of a dashboard layout on a 3-column grid.
+ * With `editing` set, cards can be dragged to reorder, resized with the corner
+ * handle or the width/height buttons, and hidden; every change is reported
+ * through onChange(nextLayout).
+ */
+export default function WidgetGrid({ layout, data, editing = false, onChange }) {
+  const gridRef = useRef(null);
+  const [dragId, setDragId] = useState(null);
+  // Card last hovered during the current drag; dragover fires continuously, so the
+  // order changes only when the pointer enters a different card
+  const overIdRef = useRef(null);
+  const widgets = layout.widgets;
+
+  const update = (nextWidgets, nextHidden = layout.hidden) => {
+    onChange?.({ widgets: nextWidgets, hidden: nextHidden });
+  };
+
+  const resize = (id, size) => {
+    update(widgets.map((w) => (w.id === id ? { ...w, ...size } : w)));
+  };
+
+  const hide = (id) => {
+    update(widgets.filter((w) => w.id !== id), [...layout.hidden, id]);
+  };
+
+  const move = (id, offset) => {
+    const from = widgets.findIndex((w) => w.id === id);
+    update(moveItem(widgets, from, from + offset));
+  };
+
+  const handleDragOver = (e, overId) => {
+    if (!dragId) return;
+    e.preventDefault();
+    if (overId === overIdRef.current) return;
+    overIdRef.current = overId;
+    if (overId === dragId) return;
+    const from = widgets.findIndex((w) => w.id === dragId);
+    const to = widgets.findIndex((w) => w.id === overId);
+    update(moveItem(widgets, from, to));
+  };
+
+  const startResize = (e, item, def) => {
+    e.preventDefault();
+    const grid = gridRef.current;
+    const colWidth = grid ? grid.clientWidth / 3 : 320;
+    const startX = e.clientX;
+    const startY = e.clientY;
+    let last = { w: item.w, h: item.h };
+    const onMove = (ev) => {
+      const w = Math.min(def.maxW, Math.max(def.minW, item.w + Math.round((ev.clientX - startX) / colWidth)));
+      const h = Math.min(MAX_WIDGET_H, Math.max(1, item.h + Math.round((ev.clientY - startY) / ROW_STEP_PX)));
+      if (w !== last.w || h !== last.h) {
+        last = { w, h };
+        resize(item.id, last);
+      }
+    };
+    const onUp = () => {
+      globalThis.removeEventListener("pointermove", onMove);
+      globalThis.removeEventListener("pointerup", onUp);
+    };
+    globalThis.addEventListener("pointermove", onMove);
+    globalThis.addEventListener("pointerup", onUp);
+  };
+
+  return (
+    <section ref={gridRef} className={`widget-grid ${editing ? "editing" : ""}`} aria-label="Dashboard widgets">
+      {widgets.map((item, index) => {
+        const def = getWidget(item.id);
+        if (!def) return null;
+        const Widget = def.component;
+        return (
+          <div
+            key={item.id}
+            className={`dash-card widget widget-w-${item.w} widget-h-${item.h} ${dragId === item.id ? "dragging" : ""}`}
+            aria-label={def.title}
+            draggable={editing}
+            onDragStart={editing ? (e) => {
+              setDragId(item.id);
+              overIdRef.current = item.id;
+              e.dataTransfer.effectAllowed = "move";
+              e.dataTransfer.setData("text/plain", item.id);
+            } : undefined}
+            onDragOver={editing ? (e) => handleDragOver(e, item.id) : undefined}
+            onDrop={editing ? (e) => e.preventDefault() : undefined}
+            onDragEnd={editing ? () => {
+              setDragId(null);
+              overIdRef.current = null;
+            } : undefined}
+          >
+            {editing ? (
+              <div className="widget-toolbar" role="group" aria-label={`${def.title} layout controls`}>
+                <span className="widget-grip" aria-hidden="true">⠿</span>
+                <span className="widget-title">{def.title}</span>
+                <button className="btn-ghost" onClick={() => move(item.id, -1)} disabled={index === 0} aria-label={`Move ${def.title} earlier`}>←</button>
+                <button className="btn-ghost" onClick={() => move(item.id, 1)} disabled={index === widgets.length - 1} aria-label={`Move ${def.title} later`}>→</button>
+                <button className="btn-ghost" onClick={() => resize(item.id, { w: item.w - 1 })} disabled={item.w <= def.minW} aria-label={`Make ${def.title} narrower`}>−</button>
+                <span className="muted" aria-label="Width in columns">{item.w}/3</span>
+                <button className="btn-ghost" onClick={() => resize(item.id, { w: item.w + 1 })} disabled={item.w >= def.maxW} aria-label={`Make ${def.title} wider`}>+</button>
+                <button
+                  className="btn-ghost"
+                  onClick={() => resize(item.id, { h: item.h === 1 ? MAX_WIDGET_H : 1 })}
+                  aria-pressed={item.h > 1}
+                  aria-label={`Make ${def.title} ${item.h > 1 ? "shorter" : "taller"}`}
+                >
+                  ↕
+                </button>
+                <button className="btn-ghost" onClick={() => hide(item.id)} aria-label={`Hide ${def.title}`}>×</button>
+              </div>
+            ) : null}
+            <Widget data={data} />
+            {editing ? (
+              <span
+                className="widget-resize"
+                role="presentation"
+                title="Drag to resize"
+                onPointerDown={(e) => startResize(e, item, def)}
+              />
+            ) : null}
+          </div>
+        );
+      })}
+    </section>
+  );
+}
@@ -0,0 +1,63 @@
+//
+// PUBLIC_INTERFACE
+// Dashboard widget registry.
+// Every dashboard card is a self-contained widget that renders from the
+// useDashboardData() result passed as `data`. The layout (dashboardLayout.js)
+// only refers to widgets by id; the entries below give the title shown in the
+// layout editor, the size limits in grid columns (w, 1-3) and rows (h, 1-2), and
+// the granularities a time-series widget can be drawn at (utils/timeRange.js).
+// Every widget follows the dashboard's time range; the finest supported
+// granularity that suits the range is requested for it (see widgetGranularity).
+//
+import { pickGranularity } from "../../utils/timeRange.js";
+import TotalEvents from "./TotalEvents.jsx";
+import EventTypes from "./EventTypes.jsx";
+import UsersAnsweredToday from "./UsersAnsweredToday.jsx";
+import EventHeatmap from "./EventHeatmap.jsx";
+import DailySignups from "./DailySignups.jsx";
+import ActiveUsers from "./ActiveUsers.jsx";
+import RecentActivity from "./RecentActivity.jsx";
+
+export const MAX_WIDGET_W = 3;
+export const MAX_WIDGET_H = 2;
+
+// Order here is the default dashboard order
+export const WIDGET_REGISTRY = [
+  { id: "total", title: "Total Events", component: TotalEvents, defaultW: 1, minW: 1, maxW: 2, granularities: [] },
+  { id: "types", title: "Events by Type", component: EventTypes, defaultW: 2, minW: 1, maxW: 3, granularities: [] },
+  {
+    id: "usersToday",
+    title: "Users Answered",
+    component: UsersAnsweredToday,
+    defaultW: 1,
+    minW: 1,
+    maxW: 3,
+    granularities: ["minute", "hour"],
+  },
+  { id: "heatmap", title: "Event Heatmap", component: EventHeatmap, defaultW: 2, minW: 2, maxW: 3, granularities: ["hour"] },
+  { id: "signups", title: "Signups", component: DailySignups, defaultW: 2, minW: 1, maxW: 3, granularities: ["day"] },
+  {
+    id: "activeUsers",
+    title: "Active Users",
+    component: ActiveUsers,
+    defaultW: 1,
+    minW: 1,
+    maxW: 3,
+    granularities: ["minute", "hour"],
+  },
+  { id: "recent", title: "Recent Activity", component: RecentActivity, defaultW: 3, minW: 2, maxW: 3, granularities: [] },
+];
+
+const byId = new Map(WIDGET_REGISTRY.map((w) => [w.id, w]));
+
+// PUBLIC_INTERFACE
+export function getWidget(id) {
+  /** Returns the registry entry for a widget id, or null when unknown. */
+  return byId.get(id) || null;
+}
+
+// PUBLIC_INTERFACE
+export function widgetGranularity(id, timeRange) {
+  /** Granularity to request for a widget over the time range, or null for non time-series widgets. */
+  return pickGranularity(timeRange, getWidget(id)?.granularities);
+}
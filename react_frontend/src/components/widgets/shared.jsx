@@ -0,0 +1,78 @@
+import React from "react";
+import { useNavigate } from "react-router-dom";
+import { eventsPath } from "../../eventFilters.js";
+import { PERMISSIONS, hasPermission, useSession } from "../../session.js";
+import { deltaArrow, percentFmt } from "../../utils/format.js";
+import { formatTimeRange } from "../../utils/timeRange.js";
+import { formatTimezone } from "../../utils/timezone.js";
+
+// Ocean Professional palette
+export const COLORS = [
+  "var(--chart-palette-1)",
+  "var(--chart-palette-2)",
+  "var(--chart-palette-3)",
+  "var(--chart-palette-4)",
+  "var(--chart-palette-5)",
+  "var(--chart-palette-6)",
+  "var(--chart-palette-7)",
+  "var(--chart-palette-8)",
+];
+
+/**
+ * PUBLIC_INTERFACE
+ * EmptyState
+ * "No data" placeholder used inside widget charts and tables.
+ */
+export function EmptyState({ children = "No data yet" }) {
+  return (
+    <div className="empty-state" role="status" aria-live="polite">
+      <span className="empty-icon" aria-hidden="true">ⓘ</span>
+      <span>{children}</span>
+    </div>
+  );
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * ChangeBadge
+ * Percent change of a KPI versus the previous period, e.g. "▲ +12% vs previous period".
+ */
+export function ChangeBadge({ current, previous, label = "vs previous period" }) {
+  const d = deltaArrow(current, previous);
+  return (
+    <span className={`kpi-change ${d.colorClass}`} title={`Previous period: ${Number(previous || 0).toLocaleString()}`}>
+      {d.arrow} {percentFmt(d.percent)} {label}
+    </span>
+  );
+}
+
+// PUBLIC_INTERFACE
+export function isComparing(data) {
+  /** True while the dashboard overlays the previous period. */
+  return !!data?.previousRange;
+}
+
+// PUBLIC_INTERFACE
+export function rangeLabel(data, fallback) {
+  /** Label of the dashboard time range, or `fallback` (the endpoint's default period) without one. */
+  return data?.timeRange ? formatTimeRange(data.timeRange) : fallback;
+}
+
+// PUBLIC_INTERFACE
+export function timezoneLabel(data, timezone = data?.timezone) {
+  /** Label of the timezone the widget's buckets are in (the display timezone by default). */
+  return formatTimezone(timezone || "UTC");
+}
+
+// PUBLIC_INTERFACE
+export function useDrillDown(data) {
+  /**
+   * Returns drill(filters), which opens the event explorer (/events) filtered by a widget
+   * dimension ({ type }, { dow, hour }, { date }...) within the dashboard time range and
+   * timezone; pass timeRange: null to drop the range. Null when the session may not view events.
+   */
+  const navigate = useNavigate();
+  const session = useSession();
+  if (!hasPermission(PERMISSIONS.viewEvents, session)) return null;
+  return (filters) => navigate(eventsPath({ timeRange: data?.timeRange, timezone: data?.timezone, ...filters }));
+}
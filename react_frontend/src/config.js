@@ -2,47 +2,139 @@
 // Centralized frontend configuration for API and Socket connections.
 // Ensures absolute URLs, environment-driven configuration, and safe defaults.
 //
+// Values resolve in this order (first match wins):
+// 1. window.__APP_CONFIG__ (inline script injected at deploy time)
+// 2. /config.json fetched once at boot by loadRuntimeConfig()
+// 3. Build-time VITE_* variables
+// 4. Dev: '' (relative URLs through the Vite proxy); Prod: same-origin
+// so one built bundle can be deployed to several environments without rebuilding.
+//
+
+const RUNTIME_CONFIG_URL = '/config.json';
+const RUNTIME_CONFIG_TIMEOUT_MS = 3000;
+
+let fileConfig = {};
+let fileConfigLoaded = false;
+
+function windowConfig() {
+  const cfg = typeof globalThis !== 'undefined' ? globalThis.window?.__APP_CONFIG__ : null;
+  return cfg && typeof cfg === 'object' ? cfg : {};
+}
+
+function sameOrigin() {
+  return (typeof globalThis !== 'undefined' && globalThis.window && globalThis.window.location && globalThis.window.location.origin)
+    ? globalThis.window.location.origin
+    : '';
+}
+
+function nonEmpty(value) {
+  if (value === undefined || value === null) return null;
+  const s = String(value).trim();
+  return s ? s : null;
+}
+
+// Returns { value, source } for a runtime key, or null when not overridden at runtime.
+function runtimeValue(key) {
+  const fromWindow = nonEmpty(windowConfig()[key]);
+  if (fromWindow) return { value: fromWindow, source: 'window.__APP_CONFIG__' };
+  const fromFile = nonEmpty(fileConfig[key]);
+  if (fromFile) return { value: fromFile, source: RUNTIME_CONFIG_URL };
+  return null;
+}
+
+function resolveBackend() {
+  const env = import.meta.env || {};
+  const runtime = runtimeValue('backendUrl');
+  if (runtime) return { value: stripTrailingSlash(runtime.value), source: runtime.source };
+  if (env.DEV) return { value: '', source: 'dev proxy' };
+  const envUrl = nonEmpty(env.VITE_BACKEND_URL);
+  if (envUrl) return { value: stripTrailingSlash(envUrl), source: 'VITE_BACKEND_URL' };
+  return { value: sameOrigin(), source: 'same-origin fallback' };
+}
+
+function resolveSocket() {
+  const env = import.meta.env || {};
+  const runtime = runtimeValue('socketUrl');
+  if (runtime) return { value: stripTrailingSlash(runtime.value), source: runtime.source };
+  // A runtime backend override also moves the socket unless socketUrl is given
+  const runtimeBackend = runtimeValue('backendUrl');
+  if (runtimeBackend) return { value: stripTrailingSlash(runtimeBackend.value), source: runtimeBackend.source };
+  if (env.DEV) return { value: '', source: 'dev proxy' };
+  const socketEnv = nonEmpty(env.VITE_SOCKET_URL);
+  if (socketEnv) return { value: stripTrailingSlash(socketEnv), source: 'VITE_SOCKET_URL' };
+  const backend = nonEmpty(env.VITE_BACKEND_URL);
+  if (backend) return { value: stripTrailingSlash(backend), source: 'VITE_BACKEND_URL' };
+  return { value: sameOrigin(), source: 'same-origin fallback' };
+}
+
+/* PUBLIC_INTERFACE */
+export async function loadRuntimeConfig(url = RUNTIME_CONFIG_URL) {
+  /** Fetches the optional runtime config file once at boot. Missing or invalid files are ignored.
+   * Resolves to the loaded object ({} when absent); never rejects.
+   */
+  if (fileConfigLoaded) return fileConfig;
+  fileConfigLoaded = true;
+  const _fetch = (typeof globalThis !== 'undefined' && typeof globalThis.fetch === 'function') ? globalThis.fetch : null;
+  if (!_fetch) return fileConfig;
+  const controller = typeof globalThis.AbortController === 'function' ? new globalThis.AbortController() : null;
+  const timer = controller ? globalThis.setTimeout(() => controller.abort(), RUNTIME_CONFIG_TIMEOUT_MS) : null;
+  try {
+    const res = await _fetch(url, { cache: 'no-store', credentials: 'omit', signal: controller?.signal });
+    const type = res.headers.get('content-type') || '';
+    // Dev servers answer unknown paths with index.html; only accept JSON
+    if (res.ok && type.includes('application/json')) {
+      const data = await res.json();
+      if (data && typeof data === 'object' && !Array.isArray(data)) fileConfig = data;
+    }
+  } catch {
+    // no runtime config: build-time values apply
+  } finally {
+    if (timer) globalThis.clearTimeout(timer);
+  }
+  return fileConfig;
+}
+
+/* PUBLIC_INTERFACE */
+export function getConfigValue(key, fallback = undefined) {
+  /** Returns a runtime config value (window.__APP_CONFIG__, then /config.json) or the fallback. */
+  const fromWindow = windowConfig()[key];
+  if (fromWindow !== undefined && fromWindow !== null) return fromWindow;
+  const fromFile = fileConfig[key];
+  if (fromFile !== undefined && fromFile !== null) return fromFile;
+  return fallback;
+}
 
 /* PUBLIC_INTERFACE */
 export function getBackendUrl() {
   /** Returns the effective backend base URL for REST calls.
-   * Dev: '' to use relative '/api' with Vite proxy.
+   * Runtime `backendUrl` when provided; Dev: '' to use relative '/api' with Vite proxy;
    * Prod: VITE_BACKEND_URL when provided, else same-origin.
    */
-  const env = import.meta.env || {};
-  if (env.DEV) return '';
-  const envUrl = env.VITE_BACKEND_URL && String(env.VITE_BACKEND_URL).trim();
-  if (envUrl) return stripTrailingSlash(envUrl);
-  // same-origin fallback
-  return (typeof globalThis !== 'undefined' && globalThis.window && globalThis.window.location && globalThis.window.location.origin)
-    ? globalThis.window.location.origin
-    : '';
+  return resolveBackend().value;
 }
 
 /* PUBLIC_INTERFACE */
 export function getSocketUrl() {
   /** Effective socket.io base URL.
-   * Dev: '' to use relative '/socket.io' with Vite proxy.
-   * Prod: VITE_SOCKET_URL; else VITE_BACKEND_URL; else same-origin.
+   * Runtime `socketUrl`, then runtime `backendUrl`; Dev: '' to use relative '/socket.io'
+   * with Vite proxy; Prod: VITE_SOCKET_URL; else VITE_BACKEND_URL; else same-origin.
    */
-  const env = import.meta.env || {};
-  if (env.DEV) return '';
-  const socketEnv = env.VITE_SOCKET_URL && String(env.VITE_SOCKET_URL).trim();
-  if (socketEnv) return stripTrailingSlash(socketEnv);
-  const backend = env.VITE_BACKEND_URL && String(env.VITE_BACKEND_URL).trim();
-  if (backend) return stripTrailingSlash(backend);
-  return (typeof globalThis !== 'undefined' && globalThis.window && globalThis.window.location && globalThis.window.location.origin)
-    ? globalThis.window.location.origin
-    : '';
+  return resolveSocket().value;
 }
 
 // PUBLIC_INTERFACE
 export function getEnvDiagnostics() {
-  /** Returns a small diagnostics object for startup logs and banner. */
-  const backend = import.meta.env.VITE_BACKEND_URL?.trim() || '(same-origin fallback)';
-  const socket = import.meta.env.VITE_SOCKET_URL?.trim() || '(fallback to backend/same-origin)';
+  /** Returns the effective URLs actually in use and where each came from, for startup logs and banner. */
+  const backend = resolveBackend();
+  const socket = resolveSocket();
   const mode = import.meta.env.MODE || (import.meta.env.DEV ? 'development' : 'production');
-  return { backend, socket, mode };
+  return {
+    backend: backend.value || '(same-origin)',
+    backendSource: backend.source,
+    socket: socket.value || '(same-origin)',
+    socketSource: socket.source,
+    mode,
+  };
 }
 
 function stripTrailingSlash(url) {
@@ -0,0 +1,496 @@
+//
+// PUBLIC_INTERFACE
+// Data layer shared by the metrics views (Dashboard, Wallboard).
+// Loads every metrics widget through a refresh scheduler (coalesced triggers,
+// aborted superseded requests, latest-response-only), renders cached responses
+// first and revalidates stale ones (queryCache.js), folds live socket events into
+// local state, and reconciles with the server periodically and after reconnects.
+//
+import { useEffect, useLayoutEffect, useMemo, useRef, useState } from "react";
+import { useSocketEvent, useReconnect } from "./realtime.jsx";
+import {
+  getActiveUsers,
+  getEventTypeDistribution,
+  getRecentActivity,
+  getSignupsPerDay,
+  getTotalEvents,
+  getUsersAnsweredToday,
+  getEventHeatmap,
+  METRICS,
+  metricsQuery,
+} from "./api.js";
+import { widgetGranularity } from "./components/widgets/registry.js";
+import { useDisplayTimezone } from "./displayTimezone.js";
+import { isLocked, subscribeLock } from "./idleLock.js";
+import { queryKey, readQuery, isQueryStale, invalidateQueries } from "./queryCache.js";
+import { computeMovingAverage } from "./utils/format.js";
+import {
+  isEventPayload,
+  eventKey,
+  applyEventToTypes,
+  applyEventToHeatmap,
+  realignHeatmapBuckets,
+  prependRecent,
+  alignPreviousSeries,
+} from "./utils/metrics.js";
+import { createRefreshScheduler } from "./utils/refreshScheduler.js";
+import {
+  DEFAULT_TIME_RANGE,
+  granularityMs,
+  isLiveTimeRange,
+  parseTimeRange,
+  previousTimeRange,
+  resolveTimeRange,
+} from "./utils/timeRange.js";
+
+// Socket-triggered refreshes within this window are coalesced into one request per widget
+// PUBLIC_INTERFACE
+export const REFRESH_WINDOW_MS = 5000;
+// Upper bound between reconciles while a metrics view is open
+const RECONCILE_INTERVAL_MS = 60000;
+const RECENT_ACTIVITY_CAP = 10;
+// Widgets loaded on mount (active users has its own loading state)
+const INITIAL_WIDGETS = ["total", "types", "signups", "recent", "usersToday", "heatmap"];
+// Cached metrics responses are invalidated by any live event
+const METRICS_PREFIX = "/api/metrics/";
+// Widgets refreshed by a reconcile (signups per day is not affected by live events)
+const LIVE_WIDGETS = ["total", "types", "activeUsers", "recent", "usersToday", "heatmap"];
+// Live widgets that need server-side distinct counts; the rest are updated from the event itself
+const DISTINCT_WIDGETS = ["activeUsers", "usersToday"];
+const SEEN_EVENTS_CAP = 500;
+
+// Filters a dashboard starts with (named dashboards store their own)
+// PUBLIC_INTERFACE
+export const DEFAULT_FILTERS = Object.freeze({ timeRange: DEFAULT_TIME_RANGE, compare: false });
+// Time-series widgets whose granularity follows the time range
+const SERIES_WIDGETS = ["usersToday", "heatmap", "signups", "activeUsers"];
+// Trend widgets that overlay the previous period when comparing (task keys below)
+const PREVIOUS_WIDGETS = ["signupsPrev", "activeUsersPrev", "usersTodayPrev"];
+const MINUTE_MS = 60 * 1000;
+
+// PUBLIC_INTERFACE
+export function useDashboardData({ refreshWindowMs = REFRESH_WINDOW_MS, auth, filters, timezone: viewTimezone } = {}) {
+  /**
+   * Returns the metrics state, the time range and derived chart data:
+   * { loading, errors, totalEvents, eventTypes, signupsPerDay, activeUsers, auLoading, auError,
+   *   recentActivity, usersAnsweredToday, heatmap, timeRange, setTimeRange, granularities, timezone,
+   *   compare, setCompare, previousRange, previous,
+   *   donutData, signupsData, signupsWithMA, activeUsersData, usersAnsweredSeries, heatmapMatrix }.
+   * `auth` is passed to every request (e.g. 'display' for the wallboard's display token).
+   * `filters` sets the { timeRange, compare } (see DEFAULT_FILTERS and utils/timeRange.js); when
+   * it changes later (e.g. back/forward through the URL) the new values replace the current ones.
+   * Every metrics call follows the time range. Without `filters` no range is sent and each
+   * endpoint uses its own default. `granularities` maps each time-series widget to the granularity
+   * requested for it. Every call also sends the display timezone (displayTimezone.js), or the
+   * `timezone` option when given (e.g. a link's ?tz=), and everything is refetched when it
+   * changes; `timezone` is the one in use.
+   * With `compare` on (needs a time range), the signups, active users and users-answered
+   * series of the previous equivalent period are loaded into `previous`, and the chart
+   * series carry them as a `prev` value per point (the previous period shifted onto this one).
+   */
+  const displayTimezone = useDisplayTimezone();
+  const timezone = viewTimezone || displayTimezone;
+  const filterRange = filters ? (parseTimeRange(filters.timeRange) ? filters.timeRange : DEFAULT_TIME_RANGE) : null;
+  const filtersKey = filters ? `${filterRange}|${!!filters.compare}` : null;
+  const [loading, setLoading] = useState(true);
+  const [errors, setErrors] = useState({});
+  const [totalEvents, setTotalEvents] = useState(0);
+  const [eventTypes, setEventTypes] = useState([]); // [{event_type,count}]
+  const [signupsPerDay, setSignupsPerDay] = useState([]); // [{date,count}]
+  const [activeUsers, setActiveUsers] = useState([]); // [{minute,count}]
+  const [auLoading, setAuLoading] = useState(false);
+  const [auError, setAuError] = useState("");
+  const [recentActivity, setRecentActivity] = useState([]); // events array
+  const [usersAnsweredToday, setUsersAnsweredToday] = useState({ total: 0, series: [], timezone: "UTC" });
+  const [heatmap, setHeatmap] = useState({ buckets: [], timezone });
+  const [timeRange, setTimeRange] = useState(filterRange); // see utils/timeRange.js; null = endpoint defaults
+  const [compare, setCompare] = useState(!!filters?.compare);
+  const [previous, setPrevious] = useState({}); // { signups, activeUsers, usersToday } of the previous period
+  const [appliedFilters, setAppliedFilters] = useState(filtersKey);
+
+  // New filters from the caller replace the current ones
+  if (filtersKey !== appliedFilters) {
+    setAppliedFilters(filtersKey);
+    setTimeRange(filterRange);
+    setCompare(!!filters?.compare);
+  }
+
+  const setError = (key, err, fallback) =>
+    setErrors((prev) => ({ ...prev, [key]: err?.message || fallback }));
+  const clearError = (key) =>
+    setErrors((prev) => {
+      if (!(key in prev)) return prev;
+      const next = { ...prev };
+      delete next[key];
+      return next;
+    });
+
+  const granularities = {};
+  for (const id of SERIES_WIDGETS) granularities[id] = widgetGranularity(id, timeRange);
+  const rangeOptions = (id) => ({ timeRange, granularity: granularities[id] || undefined, timezone });
+  const cacheKeyFor = (endpoint, id) => queryKey(endpoint, metricsQuery(endpoint, rangeOptions(id)));
+
+  // Previous period, resolved to the minute so its cache key only changes once a minute
+  const minuteNow = Math.floor(Date.now() / MINUTE_MS) * MINUTE_MS;
+  const previousRange = compare && timeRange ? previousTimeRange(timeRange, minuteNow, timezone) : null;
+  const compareShiftMs = previousRange
+    ? resolveTimeRange(timeRange, minuteNow, timezone).from.getTime() - resolveTimeRange(previousRange).from.getTime()
+    : 0;
+  // Same granularity as the current period so buckets line up
+  const previousOptions = (id) => ({ timeRange: previousRange, granularity: granularities[id] || undefined, timezone });
+  const previousCacheKey = (endpoint, id) => queryKey(endpoint, metricsQuery(endpoint, previousOptions(id)));
+  const setPreviousPart = (key, value) => setPrevious((prev) => ({ ...prev, [key]: value }));
+
+  // One task per widget. Rebuilt every render so fetchers see the current time range;
+  // the scheduler batches triggers and only applies each widget's latest response.
+  // cacheKey matches the query cache entry the api.js getter writes.
+  const tasks = {
+    total: {
+      cacheKey: cacheKeyFor(METRICS.totalEvents, "total"),
+      fetch: (signal) => getTotalEvents({ ...rangeOptions("total"), signal, auth }),
+      apply: (v) => {
+        setTotalEvents(Number(v?.total || 0));
+        clearError("total");
+      },
+      fail: (e) => setError("total", e, "Failed total events"),
+    },
+    types: {
+      cacheKey: cacheKeyFor(METRICS.eventTypes, "types"),
+      fetch: (signal) => getEventTypeDistribution({ ...rangeOptions("types"), signal, auth }),
+      apply: (v) => {
+        setEventTypes(Array.isArray(v) ? v : []);
+        clearError("types");
+      },
+      fail: (e) => setError("types", e, "Failed event types"),
+    },
+    signups: {
+      cacheKey: cacheKeyFor(METRICS.signupsPerDay, "signups"),
+      fetch: (signal) => getSignupsPerDay({ ...rangeOptions("signups"), signal, auth }),
+      apply: (v) => {
+        setSignupsPerDay(Array.isArray(v) ? v : []);
+        clearError("signups");
+      },
+      fail: (e) => setError("signups", e, "Failed signups/day"),
+    },
+    recent: {
+      cacheKey: cacheKeyFor(METRICS.recentActivity, "recent"),
+      fetch: (signal) => getRecentActivity({ ...rangeOptions("recent"), signal, auth }),
+      apply: (v) => {
+        setRecentActivity(Array.isArray(v) ? v : []);
+        clearError("recent");
+      },
+      fail: (e) => setError("recent", e, "Failed recent activity"),
+    },
+    usersToday: {
+      cacheKey: cacheKeyFor(METRICS.usersAnsweredToday, "usersToday"),
+      fetch: (signal) => getUsersAnsweredToday({ ...rangeOptions("usersToday"), signal, auth }),
+      apply: (v) => {
+        setUsersAnsweredToday({
+          total: Number(v?.total || 0),
+          series: Array.isArray(v?.series) ? v.series : [],
+          timezone: v?.timezone || "UTC",
+        });
+        clearError("usersToday");
+      },
+      fail: (e) => setError("usersToday", e, "Failed users answered today"),
+    },
+    heatmap: {
+      cacheKey: cacheKeyFor(METRICS.eventHeatmap, "heatmap"),
+      fetch: (signal) => getEventHeatmap({ ...rangeOptions("heatmap"), signal, auth }),
+      apply: (v) => {
+        // A backend that ignores `tz` still reports the timezone it bucketed in
+        const from = v?.timezone || "UTC";
+        const buckets = Array.isArray(v?.buckets) ? v.buckets : [];
+        setHeatmap({
+          buckets: from === timezone ? buckets : realignHeatmapBuckets(buckets, from, timezone),
+          timezone,
+        });
+        clearError("heatmap");
+      },
+      fail: (e) => setError("heatmap", e, "Failed event heatmap"),
+    },
+    activeUsers: {
+      cacheKey: cacheKeyFor(METRICS.activeUsers, "activeUsers"),
+      fetch: (signal) => getActiveUsers({ ...rangeOptions("activeUsers"), signal, auth }),
+      apply: (v) => {
+        setActiveUsers(Array.isArray(v) ? v : []);
+        setAuError("");
+      },
+      fail: () => setAuError("Unable to load active users."),
+    },
+  };
+  if (previousRange) {
+    tasks.signupsPrev = {
+      cacheKey: previousCacheKey(METRICS.signupsPerDay, "signups"),
+      fetch: (signal) => getSignupsPerDay({ ...previousOptions("signups"), signal, auth }),
+      apply: (v) => {
+        setPreviousPart("signups", Array.isArray(v) ? v : []);
+        clearError("signupsPrev");
+      },
+      fail: (e) => setError("signupsPrev", e, "Failed previous-period signups"),
+    };
+    tasks.activeUsersPrev = {
+      cacheKey: previousCacheKey(METRICS.activeUsers, "activeUsers"),
+      fetch: (signal) => getActiveUsers({ ...previousOptions("activeUsers"), signal, auth }),
+      apply: (v) => {
+        setPreviousPart("activeUsers", Array.isArray(v) ? v : []);
+        clearError("activeUsersPrev");
+      },
+      fail: (e) => setError("activeUsersPrev", e, "Failed previous-period active users"),
+    };
+    tasks.usersTodayPrev = {
+      cacheKey: previousCacheKey(METRICS.usersAnsweredToday, "usersToday"),
+      fetch: (signal) => getUsersAnsweredToday({ ...previousOptions("usersToday"), signal, auth }),
+      apply: (v) => {
+        setPreviousPart("usersToday", {
+          total: Number(v?.total || 0),
+          series: Array.isArray(v?.series) ? v.series : [],
+        });
+        clearError("usersTodayPrev");
+      },
+      fail: (e) => setError("usersTodayPrev", e, "Failed previous-period users answered"),
+    };
+  }
+
+  const schedulerRef = useRef(null);
+  if (!schedulerRef.current) {
+    schedulerRef.current = createRefreshScheduler({ windowMs: refreshWindowMs });
+  }
+  const scheduler = schedulerRef.current;
+  scheduler.setTasks(tasks);
+
+  // Abort everything in flight when leaving the view
+  useEffect(() => () => scheduler.cancel(), [scheduler]);
+
+  // Stale-while-revalidate: render cached responses immediately and return the
+  // widgets whose cache entry is missing, expired or invalidated
+  const hydrateFromCache = (keys) =>
+    keys.filter((k) => {
+      const t = tasks[k];
+      const hit = readQuery(t.cacheKey);
+      if (hit) t.apply(hit.data);
+      return isQueryStale(t.cacheKey);
+    });
+  const isCached = (k) => !!readQuery(tasks[k].cacheKey);
+
+  const loadAll = async () => {
+    const stale = hydrateFromCache(INITIAL_WIDGETS);
+    // The skeleton only shows when something has never been loaded
+    setLoading(!INITIAL_WIDGETS.every(isCached));
+    try {
+      if (stale.length) await scheduler.run(stale);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchActiveUsers = async () => {
+    const stale = hydrateFromCache(["activeUsers"]);
+    if (!stale.length) return;
+    setAuLoading(!isCached("activeUsers"));
+    try {
+      await scheduler.run(stale);
+    } finally {
+      setAuLoading(false);
+    }
+  };
+
+  // Initial load before first paint so cached data replaces the skeleton without a flash;
+  // the range effects below skip the mount since loadAll covers them
+  const mountedRef = useRef(false);
+  useLayoutEffect(() => {
+    loadAll();
+  }, []);
+
+  // A time range or timezone switch refetches every widget; stale requests are aborted
+  useEffect(() => {
+    if (!mountedRef.current) return;
+    const stale = hydrateFromCache(INITIAL_WIDGETS);
+    if (stale.length) scheduler.run(stale);
+  }, [timeRange, timezone, scheduler]);
+
+  useEffect(() => {
+    fetchActiveUsers();
+  }, [timeRange, timezone]);
+
+  // Previous-period series are loaded while comparing and dropped when it is turned off
+  useEffect(() => {
+    if (!previousRange) {
+      setPrevious({});
+      setErrors((prev) => {
+        const next = { ...prev };
+        PREVIOUS_WIDGETS.forEach((k) => delete next[k]);
+        return next;
+      });
+      return;
+    }
+    const stale = hydrateFromCache(PREVIOUS_WIDGETS);
+    if (stale.length) scheduler.run(stale);
+  }, [compare, timeRange, timezone, scheduler]);
+
+  useEffect(() => {
+    mountedRef.current = true;
+  }, []);
+
+  // A fixed (absolute) time range in the past is not affected by live events
+  const liveRef = useRef(true);
+  liveRef.current = !timeRange || isLiveTimeRange(timeRange);
+
+  // Full refetch of the live widgets only happens as a batched reconcile;
+  // individual socket events are folded into state locally (see applyLiveEvent).
+  // A session locked for inactivity does not poll (the wallboard's display token is
+  // never locked); whatever was skipped is reloaded once it is unlocked
+  const suspended = () => auth !== "display" && isLocked();
+  const missedRef = useRef(false);
+  const scheduleReconcile = (keys = LIVE_WIDGETS) => {
+    if (!liveRef.current) return;
+    if (suspended()) {
+      missedRef.current = true;
+      return;
+    }
+    scheduler.trigger(keys);
+  };
+
+  useEffect(
+    () =>
+      subscribeLock(() => {
+        if (isLocked() || !missedRef.current) return;
+        missedRef.current = false;
+        scheduler.run();
+      }),
+    [scheduler]
+  );
+
+  // Periodic reconcile catches anything local updates cannot derive (unique users, drift)
+  useEffect(() => {
+    const t = globalThis.setInterval(() => scheduleReconcile(), RECONCILE_INTERVAL_MS);
+    return () => globalThis.clearInterval(t);
+  }, [scheduler]);
+
+  // Recently applied event keys, so an event delivered on several channels counts once
+  const seenEventsRef = useRef(new Set());
+  const applyLiveEvent = (evt) => {
+    invalidateQueries(METRICS_PREFIX);
+    if (!liveRef.current) return;
+    if (!isEventPayload(evt)) {
+      scheduleReconcile();
+      return;
+    }
+    const key = eventKey(evt);
+    const seen = seenEventsRef.current;
+    if (seen.has(key)) return;
+    seen.add(key);
+    if (seen.size > SEEN_EVENTS_CAP) seen.delete(seen.values().next().value);
+
+    setTotalEvents((t) => t + 1);
+    setEventTypes((prev) => applyEventToTypes(prev, evt));
+    setHeatmap((prev) => applyEventToHeatmap(prev, evt));
+    setRecentActivity((prev) => prependRecent(prev, evt, RECENT_ACTIVITY_CAP));
+    // Active users and users answered today need server-side distinct counts; the
+    // widgets updated above are left to the periodic reconcile and reconnects
+    scheduleReconcile(DISTINCT_WIDGETS);
+  };
+
+  useSocketEvent("new_event", applyLiveEvent);
+  useSocketEvent("user_event_created", applyLiveEvent);
+  // Aggregate push without a per-event payload: reconcile (question counts are for /questions)
+  useSocketEvent("metrics_update", (msg) => {
+    if (msg?.type === "question_counts") return;
+    invalidateQueries(METRICS_PREFIX);
+    scheduleReconcile();
+  });
+
+  // Events may have been missed while disconnected: reload everything
+  useReconnect(() => {
+    if (suspended()) {
+      missedRef.current = true;
+      return;
+    }
+    scheduler.run();
+  });
+
+  const donutData = useMemo(() => {
+    const total = (eventTypes || []).reduce((a, b) => a + Number(b.count || 0), 0);
+    return (eventTypes || []).map((t) => ({
+      name: t.event_type || "unknown",
+      value: Number(t.count || 0),
+      percent: total ? (Number(t.count || 0) / total) * 100 : 0,
+    }));
+  }, [eventTypes]);
+
+  const signupsData = useMemo(() => {
+    const arr = Array.isArray(signupsPerDay) ? [...signupsPerDay] : [];
+    arr.sort((a, b) => String(a.date).localeCompare(String(b.date)));
+    return arr;
+  }, [signupsPerDay]);
+
+  // Overlays the previous period's values as `prev` when comparing
+  const withPrevious = (series, prevSeries, opts, id) =>
+    previousRange
+      ? alignPreviousSeries(series, prevSeries, {
+          ...opts,
+          shiftMs: compareShiftMs,
+          bucketMs: granularityMs(granularities[id] || "minute"),
+        })
+      : series;
+
+  const signupsWithMA = useMemo(() => {
+    const ma = computeMovingAverage(signupsData, (d) => d.count, 7);
+    const series = signupsData.map((d, i) => ({ ...d, ma: ma[i] != null ? Number(ma[i]) : null }));
+    return withPrevious(series, previous.signups, { time: "date", value: "count" }, "signups");
+  }, [signupsData, previous.signups, previousRange]);
+
+  const activeUsersData = useMemo(() => {
+    const arr = Array.isArray(activeUsers) ? [...activeUsers] : [];
+    arr.sort((a, b) => String(a.minute).localeCompare(String(b.minute)));
+    return withPrevious(arr, previous.activeUsers, { time: "minute", value: "count" }, "activeUsers");
+  }, [activeUsers, previous.activeUsers, previousRange]);
+
+  const usersAnsweredSeries = useMemo(() => {
+    const arr = Array.isArray(usersAnsweredToday?.series) ? [...usersAnsweredToday.series] : [];
+    arr.sort((a, b) => String(a.time).localeCompare(String(b.time)));
+    const series = arr.map((p) => ({ time: p.time, value: Number(p.value || 0) }));
+    return withPrevious(series, previous.usersToday?.series, { time: "time", value: "value" }, "usersToday");
+  }, [usersAnsweredToday, previous.usersToday, previousRange]);
+
+  const heatmapMatrix = useMemo(() => {
+    const buckets = Array.isArray(heatmap?.buckets) ? heatmap.buckets : [];
+    const matrix = Array.from({ length: 7 }, () => Array.from({ length: 24 }, () => 0));
+    for (const b of buckets) {
+      const h = Number(b?.hour ?? -1);
+      const d = Number(b?.dow ?? -1);
+      if (h >= 0 && h < 24 && d >= 0 && d < 7) {
+        matrix[d][h] = Number(b.count || 0);
+      }
+    }
+    return matrix;
+  }, [heatmap]);
+
+  return {
+    loading,
+    errors,
+    totalEvents,
+    eventTypes,
+    signupsPerDay,
+    activeUsers,
+    auLoading,
+    auError,
+    recentActivity,
+    usersAnsweredToday,
+    heatmap,
+    timeRange,
+    setTimeRange,
+    granularities,
+    timezone,
+    compare,
+    setCompare,
+    previousRange,
+    previous,
+    donutData,
+    signupsData,
+    signupsWithMA,
+    activeUsersData,
+    usersAnsweredSeries,
+    heatmapMatrix,
+  };
+}
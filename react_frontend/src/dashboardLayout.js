@@ -0,0 +1,99 @@
+//
+// PUBLIC_INTERFACE
+// Per-user dashboard layout.
+// A layout is { widgets: [{ id, w, h }], hidden: [id] }: `widgets` are the visible
+// widgets in display order with their width in grid columns and height in rows,
+// `hidden` the widgets removed from the dashboard (they can be added back).
+// Layouts are kept in localStorage under one key per account, so everyone who
+// uses the same browser keeps their own arrangement.
+//
+import { MAX_WIDGET_H, WIDGET_REGISTRY, getWidget } from "./components/widgets/registry.js";
+import { sessionUserKey } from "./sessionBus.js";
+
+const STORAGE_PREFIX = "dashboard_layout";
+
+function storageKey(user) {
+  const key = sessionUserKey(user);
+  return key ? `${STORAGE_PREFIX}:${key}` : STORAGE_PREFIX;
+}
+
+function clamp(value, min, max, fallback) {
+  const n = Math.round(Number(value));
+  if (!Number.isFinite(n)) return fallback;
+  return Math.min(max, Math.max(min, n));
+}
+
+// PUBLIC_INTERFACE
+export function getDefaultLayout() {
+  /** Returns the registry order with every widget visible at its default size. */
+  return {
+    widgets: WIDGET_REGISTRY.map((w) => ({ id: w.id, w: w.defaultW, h: 1 })),
+    hidden: [],
+  };
+}
+
+// PUBLIC_INTERFACE
+export function normalizeLayout(layout) {
+  /**
+   * Makes a stored or edited layout safe to render: drops unknown and duplicate
+   * ids, clamps sizes to each widget's limits, and appends widgets that are
+   * neither placed nor hidden (e.g. ones added to the registry later).
+   */
+  const seen = new Set();
+  const widgets = [];
+  for (const item of Array.isArray(layout?.widgets) ? layout.widgets : []) {
+    const def = getWidget(item?.id);
+    if (!def || seen.has(def.id)) continue;
+    seen.add(def.id);
+    widgets.push({
+      id: def.id,
+      w: clamp(item.w, def.minW, def.maxW, def.defaultW),
+      h: clamp(item.h, 1, MAX_WIDGET_H, 1),
+    });
+  }
+  const hidden = [];
+  for (const id of Array.isArray(layout?.hidden) ? layout.hidden : []) {
+    if (!getWidget(id) || seen.has(id)) continue;
+    seen.add(id);
+    hidden.push(id);
+  }
+  for (const def of WIDGET_REGISTRY) {
+    if (!seen.has(def.id)) widgets.push({ id: def.id, w: def.defaultW, h: 1 });
+  }
+  return { widgets, hidden };
+}
+
+// PUBLIC_INTERFACE
+export function loadLayout(user) {
+  /** Returns the saved layout for the account (normalized), or the default layout. */
+  try {
+    const raw = globalThis.localStorage?.getItem(storageKey(user));
+    if (raw) return normalizeLayout(JSON.parse(raw));
+  } catch {
+    // ignore storage and parse errors
+  }
+  return getDefaultLayout();
+}
+
+// PUBLIC_INTERFACE
+export function saveLayout(user, layout) {
+  /** Normalizes and stores the account's layout; returns what was stored. */
+  const normalized = normalizeLayout(layout);
+  try {
+    globalThis.localStorage?.setItem(storageKey(user), JSON.stringify(normalized));
+  } catch {
+    // ignore storage errors
+  }
+  return normalized;
+}
+
+// PUBLIC_INTERFACE
+export function resetLayout(user) {
+  /** Forgets the account's saved layout and returns the default one. */
+  try {
+    globalThis.localStorage?.removeItem(storageKey(user));
+  } catch {
+    // ignore storage errors
+  }
+  return getDefaultLayout();
+}
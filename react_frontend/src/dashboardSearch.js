@@ -0,0 +1,51 @@
+//
+// PUBLIC_INTERFACE
+// Dashboard view state in the URL.
+// The time range, the compare toggle and the display timezone of a dashboard are
+// kept in the query string (?range=7d&compare=1&tz=Europe/Berlin) so a refresh keeps
+// them, a link shows a colleague the same view and back/forward steps through them.
+// Keys that are missing or invalid fall back to the dashboard's own filters.
+//
+import { parseTimeRange } from "./utils/timeRange.js";
+import { isValidTimezone } from "./utils/timezone.js";
+
+/**
+ * PUBLIC_INTERFACE
+ * DASHBOARD_SEARCH_PARAMS
+ * Query param of each piece of dashboard view state.
+ */
+export const DASHBOARD_SEARCH_PARAMS = Object.freeze({
+  timeRange: "range",
+  compare: "compare",
+  timezone: "tz",
+});
+
+// PUBLIC_INTERFACE
+export function readDashboardSearch(searchParams) {
+  /** Returns the valid view state found in URLSearchParams: some of { timeRange, compare, timezone }. */
+  const out = {};
+  const range = searchParams.get(DASHBOARD_SEARCH_PARAMS.timeRange);
+  if (parseTimeRange(range)) out.timeRange = range;
+  const compare = searchParams.get(DASHBOARD_SEARCH_PARAMS.compare);
+  if (compare === "1" || compare === "0") out.compare = compare === "1";
+  const tz = searchParams.get(DASHBOARD_SEARCH_PARAMS.timezone);
+  if (isValidTimezone(tz)) out.timezone = tz;
+  return out;
+}
+
+// PUBLIC_INTERFACE
+export function writeDashboardSearch(searchParams, patch) {
+  /**
+   * Returns new URLSearchParams with the given view state ({ timeRange, compare, timezone },
+   * any subset) written over `searchParams`; other params are kept. A null value removes the key.
+   */
+  const next = new globalThis.URLSearchParams(searchParams);
+  for (const [key, param] of Object.entries(DASHBOARD_SEARCH_PARAMS)) {
+    if (!(key in patch)) continue;
+    const value = patch[key];
+    if (value === null || value === undefined) next.delete(param);
+    else if (key === "compare") next.set(param, value ? "1" : "0");
+    else next.set(param, String(value));
+  }
+  return next;
+}
@@ -0,0 +1,124 @@
+//
+// PUBLIC_INTERFACE
+// Named dashboards.
+// Besides the personal dashboard at "/" (layout kept in localStorage, see
+// dashboardLayout.js), users can create named dashboards such as "Quiz engagement"
+// or "Growth". Each one has its own widget layout and filters, is stored by the
+// backend and opens at /dashboards/:id. The owner can share it with teammates as
+// read-only ("view") or editable ("edit"); the API reports the caller's own
+// access level on every dashboard as `access`.
+//
+// The list used by the Header switcher is kept here so creating, renaming or
+// deleting a dashboard updates the switcher without a reload.
+//
+import { useSyncExternalStore } from "react";
+import { getDashboards } from "./api.js";
+import { getStoredUser, onAuthChange } from "./auth.js";
+import { sessionUserKey } from "./sessionBus.js";
+
+/**
+ * PUBLIC_INTERFACE
+ * DASHBOARD_ACCESS
+ * Access levels a user can have on a named dashboard.
+ */
+export const DASHBOARD_ACCESS = Object.freeze({
+  owner: "owner",
+  edit: "edit",
+  view: "view",
+});
+
+const EMPTY = Object.freeze({ dashboards: [], loading: false, error: "", loaded: false });
+const listeners = new Set();
+let state = EMPTY;
+let pending = null;
+let owner = sessionUserKey(getStoredUser());
+
+function setState(patch) {
+  state = { ...state, ...patch };
+  for (const l of listeners) {
+    try {
+      l();
+    } catch {
+      // ignore listener errors
+    }
+  }
+}
+
+// A different (or no) account must not see the previous account's list
+onAuthChange(() => {
+  const next = sessionUserKey(getStoredUser());
+  if (next === owner) return;
+  owner = next;
+  pending = null;
+  if (state !== EMPTY) setState(EMPTY);
+});
+
+// PUBLIC_INTERFACE
+export function dashboardPath(id) {
+  /** Route of a named dashboard. */
+  return `/dashboards/${encodeURIComponent(id)}`;
+}
+
+// PUBLIC_INTERFACE
+export function canEditDashboard(dashboard) {
+  /** True when the caller may change the dashboard's name, layout and filters. */
+  return dashboard?.access === DASHBOARD_ACCESS.owner || dashboard?.access === DASHBOARD_ACCESS.edit;
+}
+
+// PUBLIC_INTERFACE
+export function isDashboardOwner(dashboard) {
+  /** True when the caller owns the dashboard (may share and delete it). */
+  return dashboard?.access === DASHBOARD_ACCESS.owner;
+}
+
+// PUBLIC_INTERFACE
+export function refreshDashboardList() {
+  /** (Re)loads the caller's dashboard list; concurrent calls share one request. */
+  if (pending) return pending;
+  setState({ loading: true, error: "" });
+  const current = (pending = getDashboards()
+    .then((list) => {
+      if (pending !== current) return;
+      setState({ dashboards: Array.isArray(list) ? list : [], loading: false, loaded: true });
+    })
+    .catch((err) => {
+      if (pending !== current) return;
+      setState({ loading: false, error: err?.message || "Failed to load dashboards", loaded: true });
+    })
+    .finally(() => {
+      if (pending === current) pending = null;
+    }));
+  return current;
+}
+
+// PUBLIC_INTERFACE
+export function upsertDashboardInList(dashboard) {
+  /** Adds or updates one dashboard in the cached list (after create/rename/share). */
+  if (!dashboard?.id) return;
+  const exists = state.dashboards.some((d) => d.id === dashboard.id);
+  const dashboards = exists
+    ? state.dashboards.map((d) => (d.id === dashboard.id ? { ...d, ...dashboard } : d))
+    : [...state.dashboards, dashboard];
+  setState({ dashboards });
+}
+
+// PUBLIC_INTERFACE
+export function removeDashboardFromList(id) {
+  /** Drops a deleted dashboard from the cached list. */
+  setState({ dashboards: state.dashboards.filter((d) => d.id !== id) });
+}
+
+function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function getSnapshot() {
+  return state;
+}
+
+// PUBLIC_INTERFACE
+export function useDashboardList() {
+  /** React hook returning { dashboards, loading, error, loaded }; call refreshDashboardList() to load. */
+  return useSyncExternalStore(subscribe, getSnapshot, getSnapshot);
+}
@@ -0,0 +1,65 @@
+//
+// PUBLIC_INTERFACE
+// Wallboard / kiosk display mode.
+// A wallboard authenticates with a long-lived, read-only display token instead of
+// a user session, so a TV can stay on the metrics without anyone signing in.
+// The token is handed over once in the URL (?token=…, removed from the address
+// bar right away) or through the runtime config key `displayToken`, and kept in
+// localStorage for later visits. Requests made with it are GET-only (apiClient.js).
+//
+import { getConfigValue } from "./config.js";
+
+const DISPLAY_TOKEN_KEY = "display_token";
+
+// PUBLIC_INTERFACE
+export function getDisplayToken() {
+  /** Returns the stored display token, then the runtime config `displayToken`, or null. */
+  try {
+    const stored = globalThis.localStorage?.getItem(DISPLAY_TOKEN_KEY);
+    if (stored) return stored;
+  } catch {
+    // ignore storage errors
+  }
+  const configured = getConfigValue("displayToken");
+  return typeof configured === "string" && configured ? configured : null;
+}
+
+// PUBLIC_INTERFACE
+export function setDisplayToken(token) {
+  /** Stores (or with a falsy value removes) the display token. */
+  try {
+    if (token) globalThis.localStorage?.setItem(DISPLAY_TOKEN_KEY, token);
+    else globalThis.localStorage?.removeItem(DISPLAY_TOKEN_KEY);
+  } catch {
+    // ignore storage errors
+  }
+}
+
+// PUBLIC_INTERFACE
+export function captureDisplayToken() {
+  /**
+   * On a display page, moves a `token` query param from the current URL into storage and
+   * strips it from the address bar (and history) so it is not shown on screen or shared
+   * by copy-paste. Call once at boot, before the router reads the URL.
+   */
+  const loc = globalThis.location;
+  if (!loc || !isDisplayLocation(loc)) return;
+  const params = new globalThis.URLSearchParams(loc.search);
+  const token = params.get("token");
+  if (!token) return;
+  setDisplayToken(token);
+  params.delete("token");
+  const search = params.toString();
+  globalThis.history?.replaceState(globalThis.history.state, "", `${loc.pathname}${search ? `?${search}` : ""}${loc.hash}`);
+}
+
+// PUBLIC_INTERFACE
+export function isDisplayLocation(location) {
+  /**
+   * True for the /wallboard route and for / opened with ?kiosk=1 (the only pages that
+   * render the wallboard). Any other page keeps the session's lock and sync, kiosk or not.
+   */
+  if (!location) return false;
+  if (location.pathname === "/wallboard") return true;
+  return location.pathname === "/" && new globalThis.URLSearchParams(location.search || "").get("kiosk") === "1";
+}
@@ -0,0 +1,105 @@
+//
+// PUBLIC_INTERFACE
+// Display timezone.
+// Every metric and chart is bucketed and labelled in one user-selectable IANA
+// timezone: it is sent to /api/metrics/* as `tz` (api.js), decides where "today"
+// starts (utils/timeRange.js) and is used by the date/time formatters in
+// utils/format.js. The choice is kept in localStorage and shared across tabs;
+// without one, the runtime config `displayTimezone` (e.g. for a wallboard) or the
+// browser's timezone is used. A page opened from a link with a timezone shows that
+// one instead while it is mounted (useViewTimezone), without saving it.
+//
+import { useLayoutEffect, useSyncExternalStore } from "react";
+import { getConfigValue } from "./config.js";
+import { browserTimezone, isValidTimezone } from "./utils/timezone.js";
+
+const DISPLAY_TIMEZONE_KEY = "display_timezone";
+const listeners = new Set();
+let current = null;
+// Timezone of the view on screen (e.g. a link's ?tz=); never saved
+let viewTimezone = null;
+
+function readTimezone() {
+  try {
+    const stored = globalThis.localStorage?.getItem(DISPLAY_TIMEZONE_KEY);
+    if (isValidTimezone(stored)) return stored;
+  } catch {
+    // ignore storage errors
+  }
+  const configured = getConfigValue("displayTimezone");
+  return isValidTimezone(configured) ? configured : browserTimezone();
+}
+
+function notify() {
+  for (const l of listeners) {
+    try {
+      l();
+    } catch {
+      // ignore listener errors
+    }
+  }
+}
+
+// Another tab picked a different timezone
+globalThis.addEventListener?.("storage", (e) => {
+  if (e.key !== DISPLAY_TIMEZONE_KEY && e.key !== null) return;
+  const before = getDisplayTimezone();
+  current = readTimezone();
+  if (getDisplayTimezone() !== before) notify();
+});
+
+// PUBLIC_INTERFACE
+export function getDisplayTimezone() {
+  /** Returns the IANA timezone metrics are displayed in: the view's, else the saved one. */
+  if (viewTimezone) return viewTimezone;
+  if (!current) current = readTimezone();
+  return current;
+}
+
+// PUBLIC_INTERFACE
+export function setDisplayTimezone(tz) {
+  /** Saves the display timezone (ignored when invalid); a falsy value goes back to the default. */
+  if (tz && !isValidTimezone(tz)) return;
+  try {
+    if (tz) globalThis.localStorage?.setItem(DISPLAY_TIMEZONE_KEY, tz);
+    else globalThis.localStorage?.removeItem(DISPLAY_TIMEZONE_KEY);
+  } catch {
+    // ignore storage errors
+  }
+  const before = getDisplayTimezone();
+  current = tz || readTimezone();
+  if (getDisplayTimezone() !== before) notify();
+}
+
+function setViewTimezone(tz) {
+  const before = getDisplayTimezone();
+  viewTimezone = tz;
+  if (getDisplayTimezone() !== before) notify();
+}
+
+// PUBLIC_INTERFACE
+export function subscribeDisplayTimezone(listener) {
+  /** Calls listener() whenever the display timezone changes. Returns an unsubscribe function. */
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// PUBLIC_INTERFACE
+export function useDisplayTimezone() {
+  /** React hook: the current display timezone, re-rendering when it changes. */
+  return useSyncExternalStore(subscribeDisplayTimezone, getDisplayTimezone, getDisplayTimezone);
+}
+
+// PUBLIC_INTERFACE
+export function useViewTimezone(tz) {
+  /**
+   * React hook: shows the app in `tz` while the calling view is mounted (e.g. the `tz` of a
+   * shared link) without saving it, so other tabs and later visits keep the saved timezone.
+   * A falsy or invalid tz leaves the saved one in use.
+   */
+  useLayoutEffect(() => {
+    if (!isValidTimezone(tz)) return undefined;
+    setViewTimezone(tz);
+    return () => setViewTimezone(null);
+  }, [tz]);
+}
@@ -0,0 +1,244 @@
+//
+// PUBLIC_INTERFACE
+// Event explorer filters, sorting and pagination.
+// The explorer's state lives in the query string: an event type (?type=click), a
+// username (?user=ada), free-text search (?q=...), a timestamp range (?range=7d or an
+// absolute from..to range), a day of week and hour (?dow=1&hour=13, in the display
+// timezone) or a day (?date=2024-05-01) as set by the dashboard's drill-down, the
+// timezone (`tz`) and the sort (?sort=username&order=asc).
+// GET /api/events receives all of them plus a `cursor` and `limit` and answers with a
+// page { items, nextCursor }. A backend that answers with a plain array is paged in
+// the browser instead (toEventPage), with the same filters and sort applied; that
+// array may be only part of the events, so such pages are flagged as partial.
+//
+import { getDisplayTimezone } from "./displayTimezone.js";
+import { formatTimeRange, parseTimeRange, resolveTimeRange, timeRangeQuery } from "./utils/timeRange.js";
+import { isValidTimezone, zonedParts } from "./utils/timezone.js";
+import { dateFmtFull } from "./utils/format.js";
+
+const DAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+// Cursor of a page cut in the browser from a plain array response
+const OFFSET_CURSOR_RE = /^offset:(\d+)$/;
+
+/**
+ * PUBLIC_INTERFACE
+ * EVENT_SORT_FIELDS
+ * Columns the explorer can be sorted by.
+ */
+export const EVENT_SORT_FIELDS = Object.freeze(["timestamp", "username", "event_type"]);
+
+/**
+ * PUBLIC_INTERFACE
+ * DEFAULT_EVENT_SORT
+ * Newest first.
+ */
+export const DEFAULT_EVENT_SORT = Object.freeze({ field: "timestamp", order: "desc" });
+
+/**
+ * PUBLIC_INTERFACE
+ * EVENT_FILTER_PARAMS
+ * Query param of each explorer filter.
+ */
+export const EVENT_FILTER_PARAMS = Object.freeze({
+  type: "type",
+  username: "user",
+  search: "q",
+  dow: "dow",
+  hour: "hour",
+  date: "date",
+  timeRange: "range",
+  timezone: "tz",
+});
+
+function intParam(value, min, max) {
+  if (value === null || value === "" || !/^\d+$/.test(value)) return undefined;
+  const n = Number(value);
+  return n >= min && n <= max ? n : undefined;
+}
+
+// PUBLIC_INTERFACE
+export function readEventFilters(searchParams) {
+  /**
+   * Returns the valid filters in URLSearchParams: some of
+   * { type, username, search, dow, hour, date, timeRange, timezone }.
+   */
+  const out = {};
+  for (const key of ["type", "username", "search"]) {
+    const value = (searchParams.get(EVENT_FILTER_PARAMS[key]) || "").trim();
+    if (value) out[key] = value;
+  }
+  const dow = intParam(searchParams.get(EVENT_FILTER_PARAMS.dow), 0, 6);
+  if (dow !== undefined) out.dow = dow;
+  const hour = intParam(searchParams.get(EVENT_FILTER_PARAMS.hour), 0, 23);
+  if (hour !== undefined) out.hour = hour;
+  const date = searchParams.get(EVENT_FILTER_PARAMS.date);
+  if (DATE_RE.test(date || "")) out.date = date;
+  const range = searchParams.get(EVENT_FILTER_PARAMS.timeRange);
+  if (parseTimeRange(range)) out.timeRange = range;
+  const tz = searchParams.get(EVENT_FILTER_PARAMS.timezone);
+  if (isValidTimezone(tz)) out.timezone = tz;
+  return out;
+}
+
+// PUBLIC_INTERFACE
+export function readEventSort(searchParams) {
+  /** Returns the { field, order } in URLSearchParams (?sort=&order=), DEFAULT_EVENT_SORT without one. */
+  const field = searchParams.get("sort");
+  if (!EVENT_SORT_FIELDS.includes(field)) return DEFAULT_EVENT_SORT;
+  return { field, order: searchParams.get("order") === "asc" ? "asc" : "desc" };
+}
+
+// PUBLIC_INTERFACE
+export function writeEventSearch(searchParams, patch) {
+  /**
+   * Returns new URLSearchParams with filters (keys of EVENT_FILTER_PARAMS) and/or `sort`
+   * ({ field, order }) from `patch` written over `searchParams`. Empty values remove the key.
+   */
+  const next = new globalThis.URLSearchParams(searchParams);
+  for (const [key, param] of Object.entries(EVENT_FILTER_PARAMS)) {
+    if (!(key in patch)) continue;
+    const value = patch[key];
+    if (value === undefined || value === null || value === "") next.delete(param);
+    else next.set(param, String(value));
+  }
+  if (patch.sort) {
+    const isDefault = patch.sort.field === DEFAULT_EVENT_SORT.field && patch.sort.order === DEFAULT_EVENT_SORT.order;
+    if (isDefault) {
+      next.delete("sort");
+      next.delete("order");
+    } else {
+      next.set("sort", patch.sort.field);
+      next.set("order", patch.sort.order);
+    }
+  }
+  return next;
+}
+
+// PUBLIC_INTERFACE
+export function eventsPath(filters = {}) {
+  /** Route of the event explorer with the given filters (empty and null values are left out). */
+  const params = new globalThis.URLSearchParams();
+  for (const [key, param] of Object.entries(EVENT_FILTER_PARAMS)) {
+    const value = filters[key];
+    if (value !== undefined && value !== null && value !== "") params.set(param, String(value));
+  }
+  const search = params.toString();
+  return search ? `/events?${search}` : "/events";
+}
+
+// PUBLIC_INTERFACE
+export function eventsQuery(filters = {}, { sort, cursor, limit } = {}) {
+  /**
+   * Query params of GET /api/events for the filters: event_type, username, q, dow, hour,
+   * date, range or from/to (see utils/timeRange.js) and tz, the timezone of dow/hour/date;
+   * plus sort/order, cursor and limit when given.
+   */
+  const query = { ...timeRangeQuery(filters.timeRange) };
+  if (filters.type) query.event_type = filters.type;
+  if (filters.username) query.username = filters.username;
+  if (filters.search) query.q = filters.search;
+  if (filters.dow !== undefined) query.dow = filters.dow;
+  if (filters.hour !== undefined) query.hour = filters.hour;
+  if (filters.date) query.date = filters.date;
+  if (filters.dow !== undefined || filters.hour !== undefined || filters.date || filters.timeRange) {
+    query.tz = filters.timezone || getDisplayTimezone();
+  }
+  if (sort) {
+    query.sort = sort.field;
+    query.order = sort.order;
+  }
+  if (cursor) query.cursor = cursor;
+  if (limit) query.limit = limit;
+  return query;
+}
+
+// Case-insensitive substring match on any string or number field of the event
+function matchesSearch(evt, search) {
+  const needle = search.toLowerCase();
+  return Object.values(evt || {}).some(
+    (v) => (typeof v === "string" || typeof v === "number") && String(v).toLowerCase().includes(needle)
+  );
+}
+
+// PUBLIC_INTERFACE
+export function compareEvents(sort = DEFAULT_EVENT_SORT) {
+  /** Comparator ordering events by sort.field in sort.order (timestamps as time, others as text). */
+  const dir = sort.order === "asc" ? 1 : -1;
+  return (a, b) => {
+    let diff;
+    if (sort.field === "timestamp") {
+      diff = (new Date(a?.timestamp).getTime() || 0) - (new Date(b?.timestamp).getTime() || 0);
+    } else {
+      diff = String(a?.[sort.field] ?? "").localeCompare(String(b?.[sort.field] ?? ""));
+    }
+    return diff * dir;
+  };
+}
+
+// PUBLIC_INTERFACE
+export function toEventPage(response, { filters = {}, sort = DEFAULT_EVENT_SORT, cursor = null, limit = 50, now = Date.now() } = {}) {
+  /**
+   * Normalizes a GET /api/events response into { items, nextCursor, partial }. A page
+   * response ({ items, nextCursor } or next_cursor) is used as is; a plain array is
+   * filtered, sorted and cut into pages here, with 'offset:<n>' cursors, and marked
+   * `partial` with the number of events it held as `received`: the backend ignored the
+   * query, so the results only cover what it chose to send.
+   */
+  if (response && !Array.isArray(response) && Array.isArray(response.items)) {
+    return { items: response.items, nextCursor: response.nextCursor ?? response.next_cursor ?? null, partial: false };
+  }
+  const received = Array.isArray(response) ? response : [];
+  const all = received
+    .filter((e) => matchesEventFilters(e, filters, now))
+    .sort(compareEvents(sort));
+  const offset = Number(OFFSET_CURSOR_RE.exec(cursor || "")?.[1] || 0);
+  const end = offset + limit;
+  return {
+    items: all.slice(offset, end),
+    nextCursor: end < all.length ? `offset:${end}` : null,
+    partial: true,
+    received: received.length,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function matchesEventFilters(evt, filters = {}, now = Date.now()) {
+  /** True when an event ({ event_type, timestamp }) passes every filter. */
+  if (filters.type && (evt?.event_type || "unknown") !== filters.type) return false;
+  if (filters.username && String(evt?.username || "").toLowerCase() !== filters.username.toLowerCase()) return false;
+  if (filters.search && !matchesSearch(evt, filters.search)) return false;
+  const needsTime = filters.dow !== undefined || filters.hour !== undefined || filters.date || filters.timeRange;
+  if (!needsTime) return true;
+  const d = new Date(evt?.timestamp);
+  if (Number.isNaN(d.getTime())) return false;
+  if (filters.timeRange) {
+    const range = resolveTimeRange(filters.timeRange, now, filters.timezone || getDisplayTimezone());
+    if (range && (d < range.from || d > range.to)) return false;
+  }
+  const p = zonedParts(d, filters.timezone || getDisplayTimezone());
+  if (filters.dow !== undefined && p.dow !== filters.dow) return false;
+  if (filters.hour !== undefined && p.hour !== filters.hour) return false;
+  if (filters.date) {
+    const ymd = `${p.year}-${String(p.month).padStart(2, "0")}-${String(p.day).padStart(2, "0")}`;
+    if (ymd !== filters.date) return false;
+  }
+  return true;
+}
+
+// PUBLIC_INTERFACE
+export function describeEventFilters(filters = {}) {
+  /** Human labels of the active filters: [{ key, label }], e.g. { key: 'dow', label: 'Day: Monday' }. */
+  const out = [];
+  if (filters.search) out.push({ key: "search", label: `Search: “${filters.search}”` });
+  if (filters.type) out.push({ key: "type", label: `Type: ${filters.type}` });
+  if (filters.username) out.push({ key: "username", label: `User: ${filters.username}` });
+  if (filters.dow !== undefined) out.push({ key: "dow", label: `Day: ${DAY_NAMES[filters.dow]}` });
+  if (filters.hour !== undefined) {
+    const pad = (n) => String(n).padStart(2, "0");
+    out.push({ key: "hour", label: `Hour: ${pad(filters.hour)}:00–${pad((filters.hour + 1) % 24)}:00` });
+  }
+  if (filters.date) out.push({ key: "date", label: `Date: ${dateFmtFull(filters.date)}` });
+  if (filters.timeRange) out.push({ key: "timeRange", label: formatTimeRange(filters.timeRange) });
+  return out;
+}
@@ -0,0 +1,91 @@
+//
+// PUBLIC_INTERFACE
+// Synthetic event generation for demos and for exercising the socket pipeline.
+// A generator config is { ratePerSecond, typeWeights: { [event_type]: weight },
+// usernames: [...], skewMinutes }: each event gets a type drawn by weight, a
+// username from the pool (or a random user### when the pool is empty) and a
+// timestamp spread randomly over the last `skewMinutes` (0 = now).
+//
+
+/**
+ * PUBLIC_INTERFACE
+ * GENERATOR_LIMITS
+ * Bounds of the configurable rate (events per second) and time skew (minutes).
+ */
+export const GENERATOR_LIMITS = Object.freeze({
+  minRate: 0.1,
+  maxRate: 50,
+  maxSkewMinutes: 60 * 24 * 30,
+});
+
+/**
+ * PUBLIC_INTERFACE
+ * DEFAULT_GENERATOR_CONFIG
+ * One event per second, click/view/signup equally likely, user### names, no skew.
+ */
+export const DEFAULT_GENERATOR_CONFIG = Object.freeze({
+  ratePerSecond: 1,
+  typeWeights: Object.freeze({ click: 1, view: 1, signup: 1 }),
+  usernames: Object.freeze([]),
+  skewMinutes: 0,
+});
+
+function clamp(n, min, max, fallback) {
+  const v = Number(n);
+  if (!Number.isFinite(v)) return fallback;
+  return Math.min(max, Math.max(min, v));
+}
+
+// PUBLIC_INTERFACE
+export function parseUsernamePool(text) {
+  /** Usernames in free text separated by commas, spaces or new lines, without duplicates. */
+  return [...new Set(String(text || "").split(/[\s,]+/).filter(Boolean))];
+}
+
+// PUBLIC_INTERFACE
+export function normalizeGeneratorConfig(config = {}) {
+  /**
+   * Returns a complete config: rate and skew clamped to GENERATOR_LIMITS, only positive
+   * type weights kept (all of DEFAULT_GENERATOR_CONFIG's when none are), usernames trimmed.
+   */
+  const weights = {};
+  for (const [type, weight] of Object.entries(config.typeWeights || {})) {
+    const name = String(type).trim();
+    const w = Number(weight);
+    if (name && Number.isFinite(w) && w > 0) weights[name] = w;
+  }
+  return {
+    ratePerSecond: clamp(config.ratePerSecond, GENERATOR_LIMITS.minRate, GENERATOR_LIMITS.maxRate, DEFAULT_GENERATOR_CONFIG.ratePerSecond),
+    typeWeights: Object.keys(weights).length ? weights : { ...DEFAULT_GENERATOR_CONFIG.typeWeights },
+    usernames: (config.usernames || []).map((u) => String(u).trim()).filter(Boolean),
+    skewMinutes: clamp(config.skewMinutes, 0, GENERATOR_LIMITS.maxSkewMinutes, 0),
+  };
+}
+
+// PUBLIC_INTERFACE
+export function pickWeighted(weights, random = Math.random) {
+  /** A key of `weights` ({ key: weight }) drawn with probability proportional to its weight. */
+  const entries = Object.entries(weights).filter(([, w]) => w > 0);
+  const total = entries.reduce((sum, [, w]) => sum + w, 0);
+  let r = random() * total;
+  for (const [key, w] of entries) {
+    r -= w;
+    if (r < 0) return key;
+  }
+  return entries.length ? entries[entries.length - 1][0] : undefined;
+}
+
+// PUBLIC_INTERFACE
+export function generateEvent(config = DEFAULT_GENERATOR_CONFIG, now = Date.now(), random = Math.random) {
+  /** A POST /api/events payload { username, event_type, timestamp } drawn from the config. */
+  const { typeWeights, usernames, skewMinutes } = normalizeGeneratorConfig(config);
+  const username = usernames.length
+    ? usernames[Math.floor(random() * usernames.length)]
+    : `user${Math.floor(random() * 1000)}`;
+  const skewMs = skewMinutes * 60 * 1000 * random();
+  return {
+    username,
+    event_type: pickWeighted(typeWeights, random),
+    timestamp: new Date(now - skewMs).toISOString(),
+  };
+}
@@ -0,0 +1,120 @@
+//
+// PUBLIC_INTERFACE
+// Inactivity lock for shared screens. Activity in any tab is recorded in
+// localStorage so all tabs share one idle clock; once it exceeds the session's
+// timeout every tab locks behind a re-authentication overlay (SessionLock.jsx).
+// The lock flag is persisted too, so reloading the page does not bypass it.
+//
+// Timeouts come from the runtime config key `idleTimeout`:
+//   { "defaultMs": 1800000, "adminMs": 600000 }   or   false to disable
+// Admin sessions use the stricter of the two.
+//
+import { getConfigValue } from "./config.js";
+import { ROLES, hasRole } from "./session.js";
+
+const ACTIVITY_KEY = "last_activity";
+const LOCK_KEY = "session_locked";
+const DEFAULT_IDLE = { defaultMs: 30 * 60 * 1000, adminMs: 10 * 60 * 1000 };
+// Activity is written at most this often; finer precision is not needed
+const ACTIVITY_WRITE_MS = 5000;
+
+const listeners = new Set();
+let lastWrite = 0;
+
+function emit() {
+  for (const l of listeners) {
+    try {
+      l();
+    } catch {
+      // ignore listener errors
+    }
+  }
+}
+
+function readNumber(key) {
+  try {
+    const n = Number(globalThis.localStorage?.getItem(key));
+    return Number.isFinite(n) ? n : 0;
+  } catch {
+    return 0;
+  }
+}
+
+function write(key, value) {
+  try {
+    if (value === null) globalThis.localStorage?.removeItem(key);
+    else globalThis.localStorage?.setItem(key, String(value));
+  } catch {
+    // ignore storage errors
+  }
+}
+
+function positive(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+// PUBLIC_INTERFACE
+export function getIdleTimeoutMs(session) {
+  /** Returns the inactivity timeout for the session in ms, or 0 when idle locking is disabled or signed out. */
+  if (!session) return 0;
+  const configured = getConfigValue("idleTimeout");
+  if (configured === false || configured === 0) return 0;
+  const cfg = configured && typeof configured === "object" ? configured : {};
+  const base = positive(cfg.defaultMs, DEFAULT_IDLE.defaultMs);
+  if (!hasRole(ROLES.admin, session)) return base;
+  return Math.min(base, positive(cfg.adminMs, DEFAULT_IDLE.adminMs));
+}
+
+// PUBLIC_INTERFACE
+export function recordActivity(force = false) {
+  /** Marks the user as active now (throttled unless force). Ignored while locked. */
+  if (isLocked()) return;
+  const now = Date.now();
+  if (!force && now - lastWrite < ACTIVITY_WRITE_MS) return;
+  lastWrite = now;
+  write(ACTIVITY_KEY, now);
+}
+
+// PUBLIC_INTERFACE
+export function getLastActivity() {
+  /** Epoch ms of the last recorded activity in any tab (0 when none yet). */
+  return readNumber(ACTIVITY_KEY);
+}
+
+// PUBLIC_INTERFACE
+export function isLocked() {
+  /** True while the shared session is locked for inactivity. */
+  return readNumber(LOCK_KEY) > 0;
+}
+
+// PUBLIC_INTERFACE
+export function lockSession() {
+  /** Locks every tab until unlockSession() is called after re-authentication. */
+  if (isLocked()) return;
+  write(LOCK_KEY, Date.now());
+  emit();
+}
+
+// PUBLIC_INTERFACE
+export function unlockSession() {
+  /** Clears the lock and restarts the idle clock. */
+  const wasLocked = isLocked();
+  write(LOCK_KEY, null);
+  recordActivity(true);
+  if (wasLocked) emit();
+}
+
+// PUBLIC_INTERFACE
+export function subscribeLock(listener) {
+  /** Calls listener() when the lock state changes in this tab or another one. Returns unsubscribe. */
+  listeners.add(listener);
+  const onStorage = (e) => {
+    if (e.key === LOCK_KEY || e.key === null) listener();
+  };
+  globalThis.addEventListener?.("storage", onStorage);
+  return () => {
+    listeners.delete(listener);
+    globalThis.removeEventListener?.("storage", onStorage);
+  };
+}
@@ -2,8 +2,23 @@ import React from "react";
 import { createRoot } from "react-dom/client";
 import "./style.css";
 import AppRouter from "./router.jsx";
+import { loadRuntimeConfig, getEnvDiagnostics } from "./config.js";
+import { startTokenRefresh } from "./auth.js";
+import { captureDisplayToken } from "./displayMode.js";
 
-// Bootstrap the React application to #root
+// Load the optional runtime config (/config.json) first so every module sees
+// the effective backend/socket URLs, then bootstrap the React application to #root
 const container = document.getElementById("root");
 const root = createRoot(container);
-root.render(<AppRouter />);
+
+loadRuntimeConfig().finally(() => {
+  const diagnostics = getEnvDiagnostics();
+  if (diagnostics.mode === "production" && diagnostics.backendSource === "same-origin fallback") {
+    console.warn("No backend URL configured (VITE_BACKEND_URL or runtime backendUrl); using same-origin.");
+  }
+  if (import.meta.env.DEV) console.info("Effective config", diagnostics);
+  // A token restored from storage gets its proactive refresh armed once the backend URL is known
+  startTokenRefresh();
+  captureDisplayToken();
+  root.render(<AppRouter />);
+});
@@ -0,0 +1,90 @@
+//
+// Small client-side query cache for stale-while-revalidate rendering.
+// Entries are keyed by endpoint + params (see queryKey) and mirrored to
+// sessionStorage so they also survive full page navigations within a tab.
+// An entry is "stale" once older than its max age or after being invalidated;
+// stale data is still returned for immediate rendering while callers revalidate.
+//
+
+const STORAGE_KEY = "query_cache";
+const MAX_ENTRIES = 50;
+// PUBLIC_INTERFACE
+export const DEFAULT_STALE_MS = 30000;
+
+const entries = loadEntries(); // key -> { data, updatedAt, invalidated }
+
+function loadEntries() {
+  try {
+    const raw = globalThis.sessionStorage?.getItem(STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : null;
+    return new Map(Array.isArray(parsed) ? parsed : []);
+  } catch {
+    return new Map();
+  }
+}
+
+function persist() {
+  try {
+    // Keep only the most recently written entries
+    while (entries.size > MAX_ENTRIES) entries.delete(entries.keys().next().value);
+    globalThis.sessionStorage?.setItem(STORAGE_KEY, JSON.stringify([...entries]));
+  } catch {
+    // ignore storage errors (quota, privacy mode)
+  }
+}
+
+// PUBLIC_INTERFACE
+export function queryKey(endpoint, params) {
+  /** Builds a stable cache key from an endpoint and params, e.g. '/api/metrics/event-heatmap?range=7d'. */
+  const parts = Object.entries(params || {})
+    .filter(([, v]) => v !== undefined && v !== null && v !== "")
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([k, v]) => `${k}=${String(v)}`);
+  return parts.length ? `${endpoint}?${parts.join("&")}` : endpoint;
+}
+
+// PUBLIC_INTERFACE
+export function readQuery(key) {
+  /** Returns { data, updatedAt, invalidated } for a cached key, or null. */
+  return entries.get(key) || null;
+}
+
+// PUBLIC_INTERFACE
+export function writeQuery(key, data) {
+  /** Stores fresh data for a key (clears any invalidation). */
+  entries.delete(key);
+  entries.set(key, { data, updatedAt: Date.now(), invalidated: false });
+  persist();
+}
+
+// PUBLIC_INTERFACE
+export function isQueryStale(key, maxAgeMs = DEFAULT_STALE_MS) {
+  /** True when the key is missing, invalidated, or older than maxAgeMs. */
+  const entry = entries.get(key);
+  if (!entry) return true;
+  return entry.invalidated || Date.now() - entry.updatedAt > maxAgeMs;
+}
+
+// PUBLIC_INTERFACE
+export function invalidateQueries(prefix = "") {
+  /** Marks every key starting with prefix as stale; cached data stays readable. */
+  let changed = false;
+  for (const [key, entry] of entries) {
+    if (key.startsWith(prefix) && !entry.invalidated) {
+      entries.set(key, { ...entry, invalidated: true });
+      changed = true;
+    }
+  }
+  if (changed) persist();
+}
+
+// PUBLIC_INTERFACE
+export function clearQueries() {
+  /** Drops every cached entry (e.g. on logout). */
+  entries.clear();
+  try {
+    globalThis.sessionStorage?.removeItem(STORAGE_KEY);
+  } catch {
+    // ignore
+  }
+}
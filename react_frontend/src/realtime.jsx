@@ -0,0 +1,68 @@
+import React, { createContext, useContext, useEffect, useRef, useSyncExternalStore } from "react";
+import { subscribe, getConnectionState, subscribeConnectionState, onReconnect } from "./socket.js";
+
+const manager = { subscribe, getConnectionState, subscribeConnectionState, onReconnect };
+const RealtimeContext = createContext(manager);
+
+/**
+ * PUBLIC_INTERFACE
+ * RealtimeProvider
+ * Exposes the app-wide socket manager to the component tree. Mounted once
+ * above the routes so the shared connection outlives individual views.
+ */
+export function RealtimeProvider({ children }) {
+  return <RealtimeContext.Provider value={manager}>{children}</RealtimeContext.Provider>;
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * useRealtime
+ * Returns the realtime manager from context:
+ * { subscribe, getConnectionState, subscribeConnectionState, onReconnect }.
+ */
+export function useRealtime() {
+  return useContext(RealtimeContext);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * useSocketEvent
+ * Subscribes `handler` to a Socket.io event for the lifetime of the calling component.
+ * The latest handler is always invoked, so callers may pass inline closures without
+ * causing resubscription; only a change of `name` re-registers the listener.
+ */
+export function useSocketEvent(name, handler) {
+  const { subscribe: sub } = useRealtime();
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+
+  useEffect(() => {
+    if (!name) return undefined;
+    return sub(name, (...args) => handlerRef.current?.(...args));
+  }, [name, sub]);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * useConnectionState
+ * Returns the live { status, lastEventAt, active } snapshot of the shared connection,
+ * where status is one of 'connecting' | 'live' | 'reconnecting' | 'offline'.
+ */
+export function useConnectionState() {
+  const { subscribeConnectionState: sub, getConnectionState: get } = useRealtime();
+  return useSyncExternalStore(sub, get, get);
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * useReconnect
+ * Invokes `handler` whenever the shared socket reconnects after a drop, so views
+ * can re-sync data they may have missed while offline.
+ */
+export function useReconnect(handler) {
+  const { onReconnect: on } = useRealtime();
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+
+  useEffect(() => on(() => handlerRef.current?.()), [on]);
+}
@@ -1,24 +1,107 @@
-import React, { useEffect, useState } from "react";
-import { BrowserRouter, Routes, Route, Navigate } from "react-router-dom";
+import React, { useEffect, useRef, useState } from "react";
+import { BrowserRouter, Routes, Route, Navigate, useLocation, useNavigate } from "react-router-dom";
 import App from "./App.jsx";
 import Dashboard from "./views/Dashboard.jsx";
 import Login from "./views/Login.jsx";
 import Signup from "./views/Signup.jsx";
 import Admin from "./views/Admin.jsx";
 import Questions from "./views/Questions.jsx";
-import { getToken, getCurrentUser, getStoredUser, setStoredUser, clearAuth } from "./auth.js";
-import { getAdminToken, getCurrentAdmin, getStoredAdminUser, setStoredAdminUser, clearAdminAuth } from "./adminAuth.js";
+import Wallboard from "./views/Wallboard.jsx";
+import Events from "./views/Events.jsx";
+import LiveStream from "./views/LiveStream.jsx";
+import EventGenerator from "./views/EventGenerator.jsx";
+import { getToken, getSessionProfile, getStoredUser, setStoredUser, clearAuth, refreshToken } from "./auth.js";
+import { PERMISSIONS, hasPermission, useSession } from "./session.js";
 import AdminLogin from "./views/AdminLogin.jsx";
 import AdminSignup from "./views/AdminSignup.jsx";
+import { RealtimeProvider } from "./realtime.jsx";
+import SessionLock from "./components/SessionLock.jsx";
+import { isTokenExpired, onSessionExpired } from "./tokenRefresh.js";
+import { SESSION_EVENTS, onSessionEvent, sessionUserKey } from "./sessionBus.js";
+import { disconnectSocket } from "./socket.js";
+import { getRedirectTarget } from "./utils/redirect.js";
+import { isDisplayLocation } from "./displayMode.js";
+
+const AUTH_PATHS = ["/login", "/signup", "/admin/login", "/admin/signup"];
+
+// Admin pages send users to the admin-themed sign-in; it signs into the same session
+function loginPathFor(pathname) {
+  return pathname === "/admin" || pathname.startsWith("/admin/") ? "/admin/login" : "/login";
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * SessionSync
+ * Keeps this tab consistent with the shared session:
+ * - this tab's session expired and could not be refreshed (see tokenRefresh.js), or
+ *   another tab logged out / saw it expire (see sessionBus.js): close the socket and
+ *   redirect to the matching login page, remembering where the user was
+ * - another tab signed in: a tab sitting on a login page continues to its destination;
+ *   a tab showing a different account's data reloads under the new account
+ */
+export function SessionSync() {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const locationRef = useRef(location);
+  locationRef.current = location;
+  // Account this tab's views were rendered for; re-read on every local navigation
+  // (e.g. after signing in here) but not when another tab rewrites storage
+  const userKeyRef = useRef(null);
+  useEffect(() => {
+    userKeyRef.current = sessionUserKey(getStoredUser());
+  }, [location.key]);
+
+  useEffect(() => {
+    const signOut = (error) => {
+      disconnectSocket();
+      userKeyRef.current = null;
+      const from = locationRef.current;
+      // Wallboards run on their own display token and keep showing
+      if (AUTH_PATHS.includes(from.pathname) || isDisplayLocation(from)) return;
+      navigate(loginPathFor(from.pathname), { replace: true, state: { from, error } });
+    };
+
+    const offExpired = onSessionExpired(() => {
+      signOut("Your session has expired. Please sign in again.");
+    });
+
+    const offBus = onSessionEvent(({ type, userKey }) => {
+      if (type === SESSION_EVENTS.logout) {
+        signOut("You signed out in another tab.");
+      } else if (type === SESSION_EVENTS.expired) {
+        signOut("Your session has expired. Please sign in again.");
+      } else if (type === SESSION_EVENTS.login) {
+        const current = locationRef.current;
+        if (AUTH_PATHS.includes(current.pathname)) {
+          const area = current.pathname.startsWith("/admin") ? "admin" : "user";
+          const fallback = area === "admin" ? "/admin" : "/";
+          navigate(getRedirectTarget(current.state?.from, fallback, area), { replace: true });
+        } else if (userKey !== userKeyRef.current && !isDisplayLocation(current)) {
+          disconnectSocket();
+          globalThis.location?.reload();
+        }
+      }
+    });
+
+    return () => {
+      offExpired();
+      offBus();
+    };
+  }, [navigate]);
+
+  return null;
+}
 
 /**
  * PUBLIC_INTERFACE
  * ProtectedRoute
  * Guards routes requiring authentication by validating presence of a token
- * and best-effort verifying it via /api/auth/me. Shows a lightweight loading
- * state while validating and redirects to /login when invalid.
+ * and best-effort verifying it via /api/auth/me (/api/admin/auth/me for admin
+ * sessions). An already-expired token is refreshed first. Shows a lightweight loading state while validating and
+ * redirects to `loginPath` (default /login) when invalid.
  */
-export function ProtectedRoute({ children }) {
+export function ProtectedRoute({ children, loginPath = "/login" }) {
+  const location = useLocation();
   const [status, setStatus] = useState(() => {
     const token = getToken();
     if (!token) return "no-token";
@@ -33,17 +116,21 @@ export function ProtectedRoute({ children }) {
 
     (async () => {
       try {
+        // Expired token: try a silent refresh before giving up on the session
+        if (isTokenExpired(getToken()) && !(await refreshToken())) {
+          throw new Error("Session expired");
+        }
         // Use cached user when available to avoid extra flash
         const cached = getStoredUser();
         if (cached) {
           if (active) setStatus("ok");
           // Also refresh in background
-          getCurrentUser()
+          getSessionProfile()
             .then((u) => setStoredUser(u))
             .catch(() => {});
           return;
         }
-        const me = await getCurrentUser();
+        const me = await getSessionProfile();
         if (active) {
           setStoredUser(me);
           setStatus("ok");
@@ -65,7 +152,7 @@ export function ProtectedRoute({ children }) {
   }, [status]);
 
   if (status === "no-token") {
-    return <Navigate to="/login" replace state={{ error }} />;
+    return <Navigate to={loginPath} replace state={{ error, from: location }} />;
   }
   if (status === "checking") {
     return (
@@ -80,128 +167,134 @@ export function ProtectedRoute({ children }) {
   return children;
 }
 
-/**
- * PUBLIC_INTERFACE
- * AdminRoute
- * Example guard for admin-only views. Assumes user.role === 'admin'.
- */
-export function AdminRoute({ children }) {
-  // Simple role check using cached admin user; prefer new AdminProtectedRoute for robust checking
-  const aToken = getAdminToken();
-  const aUser = getStoredAdminUser();
-  if (!aToken) return <Navigate to="/admin/login" replace />;
-  if (!aUser || (aUser?.role && aUser.role !== "admin")) {
-    return <Navigate to="/admin/login" replace />;
-  }
-  return children;
+function PermissionGate({ permission, children }) {
+  const session = useSession();
+  if (hasPermission(permission, session)) return children;
+  return (
+    <div className="auth-container">
+      <div className="auth-card" role="alert">
+        <h2 className="auth-title">Not authorized</h2>
+        <p className="auth-subtitle">
+          Your account ({session?.roles.join(", ") || "no role"}) does not have access to this page.
+        </p>
+        <div className="auth-alt">
+          <a href="/" className="btn-link">Back to the dashboard</a>
+        </div>
+      </div>
+    </div>
+  );
 }
 
 /**
  * PUBLIC_INTERFACE
- * AdminProtectedRoute
- * Guards admin routes by validating presence of admin token and verifying /api/admin/auth/me.
+ * RequirePermission
+ * Route guard for the unified session: authenticates like ProtectedRoute, then
+ * renders children only when the session's roles grant `permission` (a name from
+ * PERMISSIONS in session.js, or an array that must all be granted). Signed-in
+ * accounts without it see a "Not authorized" card instead of a login loop.
  */
-export function AdminProtectedRoute({ children }) {
-  const [status, setStatus] = useState(() => {
-    const token = getAdminToken();
-    if (!token) return "no-token";
-    return "checking";
-  });
-  const [error, setError] = useState("");
-
-  useEffect(() => {
-    let active = true;
-    if (status !== "checking") return;
-
-    (async () => {
-      try {
-        const cached = getStoredAdminUser();
-        if (cached) {
-          if (active) setStatus("ok");
-          // Refresh in background
-          getCurrentAdmin()
-            .then((u) => setStoredAdminUser(u))
-            .catch(() => {});
-          return;
-        }
-        const me = await getCurrentAdmin();
-        if (active) {
-          setStoredAdminUser(me);
-          setStatus("ok");
-          setError("");
-        }
-      } catch (e) {
-        clearAdminAuth();
-        if (active) {
-          setError("Your admin session has expired. Please sign in again.");
-          setStatus("no-token");
-        }
-      }
-    })();
-
-    return () => {
-      active = false;
-    };
-  }, [status]);
+export function RequirePermission({ permission, loginPath = "/login", children }) {
+  return (
+    <ProtectedRoute loginPath={loginPath}>
+      <PermissionGate permission={permission}>{children}</PermissionGate>
+    </ProtectedRoute>
+  );
+}
 
-  if (status === "no-token") {
-    return <Navigate to="/admin/login" replace state={{ error }} />;
-  }
-  if (status === "checking") {
-    return (
-      <div className="auth-container">
-        <div className="auth-card">
-          <h2 className="auth-title">Checking admin session…</h2>
-          <p className="auth-subtitle">Please wait while we verify your access.</p>
-        </div>
-      </div>
-    );
-  }
-  return children;
+// "/" renders the wallboard for ?kiosk=1 (display token, no login), else the dashboard
+function DashboardRoute() {
+  const location = useLocation();
+  if (isDisplayLocation(location)) return <Wallboard />;
+  return (
+    <RequirePermission permission={PERMISSIONS.viewDashboard}>
+      <Dashboard />
+    </RequirePermission>
+  );
 }
 
 /**
  * PUBLIC_INTERFACE
  * AppRouter
- * Main router that defines public and protected routes.
+ * Main router that defines public and protected routes. The realtime provider
+ * wraps every route so the shared socket connection survives navigation; the
+ * inactivity lock sits above the routes so locking never unmounts a view.
  */
 export default function AppRouter() {
   return (
-    <BrowserRouter>
-      <Routes>
-        <Route path="/login" element={<Login />} />
-        <Route path="/signup" element={<Signup />} />
-
-        <Route
-          path="/"
-          element={
-            <ProtectedRoute>
-              <Dashboard />
-            </ProtectedRoute>
-          }
-        />
-        <Route
-          path="/questions"
-          element={
-            <ProtectedRoute>
-              <Questions />
-            </ProtectedRoute>
-          }
-        />
-
-        <Route path="/admin/login" element={<AdminLogin />} />
-        <Route path="/admin/signup" element={<AdminSignup />} />
-        <Route
-          path="/admin"
-          element={
-            <AdminProtectedRoute>
-              <Admin />
-            </AdminProtectedRoute>
-          }
-        />
-
-        <Route path="*" element={<Navigate to="/" replace />} />
-      </Routes>
-    </BrowserRouter>
+    <RealtimeProvider>
+      <BrowserRouter>
+        <SessionSync />
+        <SessionLock>
+          <Routes>
+            <Route path="/login" element={<Login />} />
+            <Route path="/signup" element={<Signup />} />
+
+            <Route path="/" element={<DashboardRoute />} />
+            <Route
+              path="/dashboards/:id"
+              element={
+                <RequirePermission permission={PERMISSIONS.viewDashboard}>
+                  <Dashboard />
+                </RequirePermission>
+              }
+            />
+            <Route path="/wallboard" element={<Wallboard />} />
+            <Route
+              path="/live"
+              element={
+                <ProtectedRoute>
+                  <App />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/events"
+              element={
+                <RequirePermission permission={PERMISSIONS.viewEvents}>
+                  <Events />
+                </RequirePermission>
+              }
+            />
+            <Route
+              path="/stream"
+              element={
+                <RequirePermission permission={PERMISSIONS.viewEvents}>
+                  <LiveStream />
+                </RequirePermission>
+              }
+            />
+            <Route
+              path="/questions"
+              element={
+                <RequirePermission permission={PERMISSIONS.answerQuestions}>
+                  <Questions />
+                </RequirePermission>
+              }
+            />
+
+            <Route path="/admin/login" element={<AdminLogin />} />
+            <Route path="/admin/signup" element={<AdminSignup />} />
+            <Route
+              path="/admin"
+              element={
+                <RequirePermission permission={PERMISSIONS.manageQuestions} loginPath="/admin/login">
+                  <Admin />
+                </RequirePermission>
+              }
+            />
+            <Route
+              path="/admin/generator"
+              element={
+                <RequirePermission permission={PERMISSIONS.admin} loginPath="/admin/login">
+                  <EventGenerator />
+                </RequirePermission>
+              }
+            />
+
+            <Route path="*" element={<Navigate to="/" replace />} />
+          </Routes>
+        </SessionLock>
+      </BrowserRouter>
+    </RealtimeProvider>
   );
 }
@@ -0,0 +1,142 @@
+//
+// PUBLIC_INTERFACE
+// Unified session model: one login (token + user in auth.js) carrying roles, and
+// the permissions those roles grant. Roles come from the user profile (`roles`
+// array or `role` string) and the token's `roles`/`role` claims, so one account
+// can hold several capabilities (e.g. analyst + question-author).
+//
+import { useSyncExternalStore } from "react";
+import { getToken, getStoredUser, onAuthChange } from "./auth.js";
+import { decodeJwtPayload } from "./tokenRefresh.js";
+
+/**
+ * PUBLIC_INTERFACE
+ * ROLES
+ * Known roles. Unknown role names from the backend are ignored.
+ */
+export const ROLES = Object.freeze({
+  viewer: "viewer",
+  analyst: "analyst",
+  questionAuthor: "question-author",
+  admin: "admin",
+});
+
+/**
+ * PUBLIC_INTERFACE
+ * PERMISSIONS
+ * Capabilities checked by route guards and navigation.
+ */
+export const PERMISSIONS = Object.freeze({
+  viewDashboard: "dashboard:view",
+  answerQuestions: "questions:answer",
+  viewEvents: "events:view",
+  manageQuestions: "questions:manage",
+  admin: "admin:access",
+});
+
+const ROLE_PERMISSIONS = {
+  [ROLES.viewer]: [PERMISSIONS.viewDashboard, PERMISSIONS.answerQuestions],
+  [ROLES.analyst]: [PERMISSIONS.viewDashboard, PERMISSIONS.answerQuestions, PERMISSIONS.viewEvents],
+  [ROLES.questionAuthor]: [PERMISSIONS.answerQuestions, PERMISSIONS.manageQuestions],
+  [ROLES.admin]: Object.values(PERMISSIONS),
+};
+
+// Accounts created before roles existed report role 'user'
+const ROLE_ALIASES = { user: ROLES.viewer };
+const DEFAULT_ROLES = [ROLES.viewer];
+
+function toList(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value === "string" && value) return value.split(/[\s,]+/);
+  return [];
+}
+
+function normalizeRoles(values) {
+  const roles = new Set();
+  for (const raw of values) {
+    const name = ROLE_ALIASES[String(raw).toLowerCase()] || String(raw).toLowerCase();
+    if (ROLE_PERMISSIONS[name]) roles.add(name);
+  }
+  return [...roles];
+}
+
+// PUBLIC_INTERFACE
+export function resolveRoles(user, token) {
+  /** Returns the known roles held by a user profile and/or token; signed-in accounts without any are viewers. */
+  const claims = decodeJwtPayload(token) || {};
+  const roles = normalizeRoles([
+    ...toList(user?.roles),
+    ...toList(user?.role),
+    ...toList(claims.roles),
+    ...toList(claims.role),
+  ]);
+  if (roles.length === 0 && (user || token)) return [...DEFAULT_ROLES];
+  return roles;
+}
+
+// PUBLIC_INTERFACE
+export function permissionsForRoles(roles) {
+  /** Returns the union of permissions granted by the given roles. */
+  const granted = new Set();
+  for (const role of roles || []) {
+    for (const p of ROLE_PERMISSIONS[role] || []) granted.add(p);
+  }
+  return [...granted];
+}
+
+let snapshot = null;
+let snapshotKey = null;
+
+// PUBLIC_INTERFACE
+export function getSession() {
+  /**
+   * Returns { token, user, roles, permissions } for the signed-in account, or null.
+   * The object is reused until the stored token or user changes.
+   */
+  const token = getToken();
+  const user = getStoredUser();
+  const key = `${token || ""}|${user ? JSON.stringify(user) : ""}`;
+  if (key === snapshotKey) return snapshot;
+  snapshotKey = key;
+  if (!token) {
+    snapshot = null;
+  } else {
+    const roles = resolveRoles(user, token);
+    snapshot = { token, user, roles, permissions: permissionsForRoles(roles) };
+  }
+  return snapshot;
+}
+
+// PUBLIC_INTERFACE
+export function hasPermission(permission, session = getSession()) {
+  /** True when the session grants the permission (or every permission in an array). */
+  if (!session) return false;
+  const wanted = Array.isArray(permission) ? permission : [permission];
+  return wanted.every((p) => session.permissions.includes(p));
+}
+
+// PUBLIC_INTERFACE
+export function hasRole(role, session = getSession()) {
+  /** True when the session holds the role. */
+  return Boolean(session?.roles.includes(role));
+}
+
+// PUBLIC_INTERFACE
+export function subscribeSession(listener) {
+  /** Calls listener() when the session changes in this tab or another one. Returns unsubscribe. */
+  const offAuth = onAuthChange(listener);
+  const onStorage = (e) => {
+    if (e.key === null || e.key === "auth_token" || e.key === "auth_user") listener();
+  };
+  globalThis.addEventListener?.("storage", onStorage);
+  return () => {
+    offAuth();
+    globalThis.removeEventListener?.("storage", onStorage);
+  };
+}
+
+// PUBLIC_INTERFACE
+export function useSession() {
+  /** React hook returning the current session (see getSession), re-rendering on change. */
+  return useSyncExternalStore(subscribeSession, getSession, getSession);
+}
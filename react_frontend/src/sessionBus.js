@@ -0,0 +1,97 @@
+//
+// PUBLIC_INTERFACE
+// Cross-tab session bus. Tabs announce session changes (login, logout, token
+// refresh, expiry) on a BroadcastChannel so every other open tab can react at
+// once instead of discovering a dead token on its next API call. Browsers
+// without BroadcastChannel fall back to localStorage events.
+// Messages are only delivered to other tabs, never back to the sender.
+//
+
+const CHANNEL_NAME = "session";
+const FALLBACK_STORAGE_KEY = "session_bus";
+
+// PUBLIC_INTERFACE
+export const SESSION_EVENTS = Object.freeze({
+  login: "login",
+  logout: "logout",
+  refresh: "refresh",
+  expired: "expired",
+});
+
+const listeners = new Set();
+let channel = null;
+let started = false;
+
+function deliver(message) {
+  if (!message || typeof message !== "object" || !message.type) return;
+  for (const l of listeners) {
+    try {
+      l(message);
+    } catch {
+      // ignore listener errors
+    }
+  }
+}
+
+function onStorage(e) {
+  if (e.key !== FALLBACK_STORAGE_KEY || !e.newValue) return;
+  try {
+    deliver(JSON.parse(e.newValue));
+  } catch {
+    // ignore malformed messages
+  }
+}
+
+function start() {
+  if (started) return;
+  started = true;
+  if (typeof globalThis.BroadcastChannel === "function") {
+    try {
+      channel = new globalThis.BroadcastChannel(CHANNEL_NAME);
+      channel.onmessage = (e) => deliver(e.data);
+      return;
+    } catch {
+      channel = null;
+    }
+  }
+  globalThis.addEventListener?.("storage", onStorage);
+}
+
+// PUBLIC_INTERFACE
+export function publishSessionEvent(type, detail = {}) {
+  /** Announces a session change to the other open tabs: { type, at, ...detail }. */
+  start();
+  const message = { ...detail, type, at: Date.now() };
+  if (channel) {
+    try {
+      channel.postMessage(message);
+    } catch {
+      // ignore (channel closed)
+    }
+    return;
+  }
+  try {
+    // A unique value per message so repeated events still fire 'storage'
+    globalThis.localStorage?.setItem(FALLBACK_STORAGE_KEY, JSON.stringify({ ...message, nonce: Math.random() }));
+  } catch {
+    // ignore storage errors
+  }
+}
+
+// PUBLIC_INTERFACE
+export function onSessionEvent(listener) {
+  /** Registers listener(message) for session changes made in other tabs. Returns unsubscribe. */
+  start();
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+}
+
+// PUBLIC_INTERFACE
+export function sessionUserKey(user) {
+  /** Stable identity of a profile, used to tell "same account refreshed" from "different account". */
+  if (!user || typeof user !== "object") return null;
+  const id = user.id ?? user._id ?? user.email ?? user.username;
+  return id == null ? null : String(id);
+}
@@ -0,0 +1,270 @@
+//
+// App-wide Socket.io connection manager.
+// Owns a single connection shared by every view, reference-counts subscribers,
+// and keeps the socket open briefly after the last one leaves so that route
+// changes (unmount old view, mount new view) do not drop the connection.
+// Also tracks a small connection-state model (connecting, live, reconnecting,
+// offline plus the time of the last received event) for status indicators,
+// and notifies listeners after a reconnect so views can re-sync missed data.
+//
+import { io } from "socket.io-client";
+import { getSocketUrl } from "./config.js";
+
+const SOCKET_OPTIONS = {
+  path: "/socket.io", // default Socket.io path; backend should use same
+  transports: ["websocket", "polling"],
+  withCredentials: true,
+};
+
+// Grace period before closing an unused connection.
+const IDLE_DISCONNECT_MS = 5000;
+// lastEventAt is published at most this often; every change re-renders the
+// status indicators, and busy streams deliver many events per second.
+const LAST_EVENT_THROTTLE_MS = 1000;
+
+// PUBLIC_INTERFACE
+export const CONNECTION_STATUS = Object.freeze({
+  CONNECTING: "connecting",
+  LIVE: "live",
+  RECONNECTING: "reconnecting",
+  OFFLINE: "offline",
+});
+
+let socket = null;
+let refCount = 0;
+// Every live subscription ({ event, handler }), attached to each connection opened
+const subscriptions = new Set();
+let idleTimer = null;
+let hasConnected = false;
+
+// Snapshot is replaced (never mutated) so React can compare by reference.
+let state = { status: CONNECTION_STATUS.OFFLINE, lastEventAt: null, active: false };
+const stateListeners = new Set();
+const reconnectListeners = new Set();
+
+function setState(patch) {
+  const next = { ...state, ...patch };
+  if (
+    next.status === state.status &&
+    next.lastEventAt === state.lastEventAt &&
+    next.active === state.active
+  ) {
+    return;
+  }
+  state = next;
+  for (const l of stateListeners) {
+    try {
+      l(state);
+    } catch {
+      // ignore listener errors
+    }
+  }
+}
+
+function notifyReconnect() {
+  for (const l of reconnectListeners) {
+    try {
+      l();
+    } catch {
+      // ignore listener errors
+    }
+  }
+}
+
+function isBrowserOffline() {
+  return globalThis.navigator?.onLine === false;
+}
+
+function onConnect() {
+  setState({ status: CONNECTION_STATUS.LIVE });
+  if (hasConnected) notifyReconnect();
+  hasConnected = true;
+}
+
+function onDisconnect(reason) {
+  // Explicit disconnects are not retried by Socket.io; everything else is.
+  const final = reason === "io server disconnect" || reason === "io client disconnect";
+  setState({
+    status: final || isBrowserOffline() ? CONNECTION_STATUS.OFFLINE : CONNECTION_STATUS.RECONNECTING,
+  });
+}
+
+function onConnectError(err) {
+  globalThis.console?.warn("Socket connect_error", err?.message);
+  if (!socket?.active || isBrowserOffline()) {
+    setState({ status: CONNECTION_STATUS.OFFLINE });
+  } else if (hasConnected) {
+    setState({ status: CONNECTION_STATUS.RECONNECTING });
+  }
+}
+
+function onReconnectAttempt() {
+  if (!isBrowserOffline()) setState({ status: CONNECTION_STATUS.RECONNECTING });
+}
+
+function onReconnectFailed() {
+  setState({ status: CONNECTION_STATUS.OFFLINE });
+}
+
+function onAnyEvent() {
+  const now = Date.now();
+  if (state.lastEventAt && now - state.lastEventAt < LAST_EVENT_THROTTLE_MS) return;
+  setState({ lastEventAt: now });
+}
+
+function onBrowserOffline() {
+  if (socket) setState({ status: CONNECTION_STATUS.OFFLINE });
+}
+
+function onBrowserOnline() {
+  if (!socket) return;
+  if (socket.connected) {
+    setState({ status: CONNECTION_STATUS.LIVE });
+  } else {
+    setState({ status: CONNECTION_STATUS.RECONNECTING });
+    socket.connect();
+  }
+}
+
+function attachListeners(s) {
+  s.on("connect", onConnect);
+  s.on("disconnect", onDisconnect);
+  s.on("connect_error", onConnectError);
+  s.onAny(onAnyEvent);
+  s.io.on("reconnect_attempt", onReconnectAttempt);
+  s.io.on("reconnect_failed", onReconnectFailed);
+  globalThis.addEventListener?.("offline", onBrowserOffline);
+  globalThis.addEventListener?.("online", onBrowserOnline);
+}
+
+function detachListeners(s) {
+  // The Manager (s.io) is cached by Socket.io and reused on reconnect, so its
+  // listeners must be removed explicitly.
+  s.io.off("reconnect_attempt", onReconnectAttempt);
+  s.io.off("reconnect_failed", onReconnectFailed);
+  s.offAny(onAnyEvent);
+  s.removeAllListeners();
+  globalThis.removeEventListener?.("offline", onBrowserOffline);
+  globalThis.removeEventListener?.("online", onBrowserOnline);
+}
+
+function clearIdleTimer() {
+  if (idleTimer) {
+    globalThis.clearTimeout(idleTimer);
+    idleTimer = null;
+  }
+}
+
+function closeSocket() {
+  clearIdleTimer();
+  if (!socket) return;
+  try {
+    detachListeners(socket);
+    socket.disconnect();
+  } catch {
+    // ignore
+  }
+  socket = null;
+  hasConnected = false;
+  setState({ status: CONNECTION_STATUS.OFFLINE, active: false });
+}
+
+function openSocket() {
+  setState({ status: CONNECTION_STATUS.CONNECTING, active: true });
+  socket = io(getSocketUrl(), SOCKET_OPTIONS);
+  attachListeners(socket);
+  for (const sub of subscriptions) socket.on(sub.event, sub.handler);
+  if (isBrowserOffline()) setState({ status: CONNECTION_STATUS.OFFLINE });
+}
+
+// PUBLIC_INTERFACE
+export function acquireSocket() {
+  /** Returns the shared socket, connecting on first use, and registers one more holder. */
+  clearIdleTimer();
+  if (!socket) openSocket();
+  refCount += 1;
+  return socket;
+}
+
+// PUBLIC_INTERFACE
+export function releaseSocket() {
+  /** Drops one holder; the connection is closed after a grace period once nobody holds it. */
+  refCount = Math.max(0, refCount - 1);
+  if (refCount > 0 || !socket || idleTimer) return;
+  idleTimer = globalThis.setTimeout(closeSocket, IDLE_DISCONNECT_MS);
+}
+
+// PUBLIC_INTERFACE
+export function subscribe(event, handler) {
+  /**
+   * Listens for `event` on the shared socket and returns an unsubscribe function.
+   * Each subscription holds a reference to the connection until unsubscribed, and
+   * stays attached across connections (e.g. after disconnectSocket()).
+   */
+  let s;
+  try {
+    s = acquireSocket();
+  } catch (err) {
+    globalThis.console?.warn("Failed to initialize socket", err);
+    return () => {};
+  }
+  const entry = { event, handler };
+  subscriptions.add(entry);
+  s.on(event, handler);
+  return () => {
+    if (!subscriptions.delete(entry)) return;
+    socket?.off(event, handler);
+    releaseSocket();
+  };
+}
+
+// PUBLIC_INTERFACE
+export function getSubscriberCount() {
+  /** Returns the number of active holders of the shared connection (diagnostics). */
+  return refCount;
+}
+
+// PUBLIC_INTERFACE
+export function disconnectSocket() {
+  /**
+   * Closes the shared connection immediately (e.g. on sign-out). Subscribers still
+   * mounted are moved to a fresh connection; without any, the next one reconnects.
+   */
+  closeSocket();
+  if (refCount === 0) return;
+  // Their views may have missed events: the new connection counts as a reconnect
+  hasConnected = true;
+  try {
+    openSocket();
+  } catch (err) {
+    globalThis.console?.warn("Failed to initialize socket", err);
+  }
+}
+
+// PUBLIC_INTERFACE
+export function getConnectionState() {
+  /** Returns the current { status, lastEventAt, active } snapshot. */
+  return state;
+}
+
+// PUBLIC_INTERFACE
+export function subscribeConnectionState(listener) {
+  /** Registers a listener for connection-state changes; returns an unsubscribe function. */
+  stateListeners.add(listener);
+  return () => {
+    stateListeners.delete(listener);
+  };
+}
+
+// PUBLIC_INTERFACE
+export function onReconnect(listener) {
+  /**
+   * Registers a listener invoked each time the shared socket connects again after
+   * having been disconnected, i.e. when events may have been missed. Returns an
+   * unsubscribe function.
+   */
+  reconnectListeners.add(listener);
+  return () => {
+    reconnectListeners.delete(listener);
+  };
+}
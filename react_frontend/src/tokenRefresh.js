@@ -0,0 +1,140 @@
+//
+// PUBLIC_INTERFACE
+// Access-token lifetime helpers: decode a JWT's `exp`, refresh it shortly before
+// it expires, coordinate concurrent refresh attempts into a single request, and
+// broadcast "session expired" when a refresh is impossible so the router can
+// redirect to login while preserving the intended destination.
+//
+
+// Refresh this long before `exp` (or at 80% of the lifetime for short-lived tokens)
+const REFRESH_LEAD_MS = 60000;
+// setTimeout overflows above 2^31-1 ms (~24.8 days)
+const MAX_TIMER_MS = 2147483647;
+
+const expiredListeners = new Set();
+
+function base64UrlDecode(segment) {
+  const b64 = segment.replace(/-/g, "+").replace(/_/g, "/");
+  const padded = b64 + "=".repeat((4 - (b64.length % 4)) % 4);
+  const binary = globalThis.atob(padded);
+  // Decode UTF-8 claims (e.g. non-ASCII usernames)
+  const bytes = Uint8Array.from(binary, (c) => c.charCodeAt(0));
+  return new globalThis.TextDecoder().decode(bytes);
+}
+
+// PUBLIC_INTERFACE
+export function decodeJwtPayload(token) {
+  /** Returns the decoded JWT claims object, or null for opaque/malformed tokens. No signature check. */
+  try {
+    const parts = String(token || "").split(".");
+    if (parts.length < 2) return null;
+    const claims = JSON.parse(base64UrlDecode(parts[1]));
+    return claims && typeof claims === "object" ? claims : null;
+  } catch {
+    return null;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function getTokenExpiry(token) {
+  /** Returns the token's expiry as epoch milliseconds, or null when it has no `exp` claim. */
+  const exp = Number(decodeJwtPayload(token)?.exp);
+  return Number.isFinite(exp) && exp > 0 ? exp * 1000 : null;
+}
+
+// PUBLIC_INTERFACE
+export function isTokenExpired(token, skewMs = 0) {
+  /** True when the token has an `exp` claim that is (within skewMs of being) in the past. */
+  const expiry = getTokenExpiry(token);
+  return expiry != null && expiry - skewMs <= Date.now();
+}
+
+// PUBLIC_INTERFACE
+export function createTokenRefresher({ getToken, storeToken, requestRefresh, isPaused = () => false }) {
+  /**
+   * Builds a refresher for one session kind.
+   * - getToken(): current token or null
+   * - storeToken(token): persists a refreshed token
+   * - requestRefresh(token): resolves to { token } from the backend refresh endpoint
+   * - isPaused(): optional; while true no refresh timer is armed and refresh() resolves
+   *   to null, so the session lapses at expiry
+   * Returns { refresh(), schedule(), cancel() }. refresh() resolves to the new token or
+   * null; concurrent callers share one in-flight request. schedule() arms a timer that
+   * refreshes shortly before the current token expires.
+   */
+  let inflight = null;
+  let timer = null;
+
+  const cancel = () => {
+    if (timer) {
+      globalThis.clearTimeout(timer);
+      timer = null;
+    }
+  };
+
+  const refresh = () => {
+    if (isPaused()) return Promise.resolve(null);
+    if (inflight) return inflight;
+    const current = getToken();
+    if (!current) return Promise.resolve(null);
+    inflight = (async () => {
+      try {
+        const data = await requestRefresh(current);
+        const next = data?.token || data?.accessToken || null;
+        if (!next) return null;
+        storeToken(next);
+        arm(false);
+        return next;
+      } catch {
+        return null;
+      } finally {
+        inflight = null;
+      }
+    })();
+    return inflight;
+  };
+
+  // allowImmediate=false after a refresh so a server handing out already-expiring
+  // tokens cannot cause a refresh loop
+  const arm = (allowImmediate) => {
+    cancel();
+    if (isPaused()) return;
+    const token = getToken();
+    const expiry = getTokenExpiry(token);
+    if (!expiry) return;
+    const lifetime = expiry - Date.now();
+    const lead = Math.min(REFRESH_LEAD_MS, lifetime * 0.2);
+    const delay = lifetime - lead;
+    if (delay <= 0) {
+      if (allowImmediate) refresh();
+      return;
+    }
+    timer = globalThis.setTimeout(() => {
+      timer = null;
+      refresh();
+    }, Math.min(delay, MAX_TIMER_MS));
+  };
+
+  return { refresh, schedule: () => arm(true), cancel };
+}
+
+// PUBLIC_INTERFACE
+export function onSessionExpired(listener) {
+  /** Registers listener() for a session that expired and could not be refreshed. Returns unsubscribe. */
+  expiredListeners.add(listener);
+  return () => {
+    expiredListeners.delete(listener);
+  };
+}
+
+// PUBLIC_INTERFACE
+export function notifySessionExpired() {
+  /** Tells listeners that the session expired and has been cleared. */
+  for (const l of expiredListeners) {
+    try {
+      l();
+    } catch {
+      // ignore listener errors
+    }
+  }
+}
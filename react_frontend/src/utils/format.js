@@ -1,3 +1,6 @@
+import { getDisplayTimezone } from "../displayTimezone.js";
+import { UTC } from "./timezone.js";
+
 //
 // PUBLIC_INTERFACE
 // numberFmt
@@ -10,7 +13,8 @@ export function numberFmt(n, opts = {}) {
 
 // PUBLIC_INTERFACE
 // dateFmtYMD
-// Formats a YYYY-MM-DD string into a localized short date label.
+// Formats a YYYY-MM-DD string into a localized short date label. The string is a
+// calendar day (already bucketed in the display timezone), so it is shown as is.
 //
 export function dateFmtYMD(ymd) {
   try {
@@ -18,7 +22,7 @@ export function dateFmtYMD(ymd) {
     const [y, m, d] = String(ymd).split("-").map((x) => Number(x));
     const dt = new Date(Date.UTC(y, (m || 1) - 1, d || 1));
     if (Number.isNaN(dt.getTime())) return String(ymd);
-    return dt.toLocaleDateString(undefined, { month: "short", day: "numeric" });
+    return dt.toLocaleDateString(undefined, { month: "short", day: "numeric", timeZone: UTC });
   } catch {
     return String(ymd);
   }
@@ -26,25 +30,43 @@ export function dateFmtYMD(ymd) {
 
 // PUBLIC_INTERFACE
 // dateFmtFull
-// Formats a YYYY-MM-DD (or ISO) into a full localized date.
+// Formats a YYYY-MM-DD (or ISO) into a full localized date. ISO timestamps are
+// shown in the display timezone (see displayTimezone.js), calendar days as is.
 //
-export function dateFmtFull(isoOrYmd) {
+export function dateFmtFull(isoOrYmd, timeZone = getDisplayTimezone()) {
   try {
     if (!isoOrYmd) return "-";
     let d;
+    let tz = timeZone;
     if (/^\d{4}-\d{2}-\d{2}$/.test(isoOrYmd)) {
       const [y, m, dd] = String(isoOrYmd).split("-").map((x) => Number(x));
       d = new Date(Date.UTC(y, (m || 1) - 1, dd || 1));
+      tz = UTC;
     } else {
       d = new Date(isoOrYmd);
     }
     if (Number.isNaN(d.getTime())) return String(isoOrYmd);
-    return d.toLocaleDateString(undefined, { year: "numeric", month: "short", day: "numeric" });
+    return d.toLocaleDateString(undefined, { year: "numeric", month: "short", day: "numeric", timeZone: tz });
   } catch {
     return String(isoOrYmd);
   }
 }
 
+// PUBLIC_INTERFACE
+// timeFmt
+// Formats an ISO timestamp (or Date) as a 24h date/time label in the display timezone.
+// `opts` narrows the fields, e.g. { hour: "2-digit", minute: "2-digit" } for a clock.
+//
+export function timeFmt(iso, opts = {}, timeZone = getDisplayTimezone()) {
+  try {
+    const d = new Date(iso);
+    if (Number.isNaN(d.getTime())) return String(iso);
+    return d.toLocaleString(undefined, { ...opts, hourCycle: "h23", timeZone });
+  } catch {
+    return String(iso);
+  }
+}
+
 // PUBLIC_INTERFACE
 // computeMovingAverage
 // Computes a simple moving average for an array of items using a numeric accessor.
@@ -71,31 +93,69 @@ export function computeMovingAverage(arr, accessor, window = 7) {
 
 // PUBLIC_INTERFACE
 // getMinAvgMax
-// Returns { min, avg, max } for numeric series via accessor.
+// Returns { min, avg, max, sum, count } for numeric series via accessor.
+// Given the `previous` period's series as well, adds `previous` (its own stats) and
+// `change`: the percent change of each of min/avg/max/sum versus that period
+// (null where it was 0 or empty).
 //
-export function getMinAvgMax(arr, accessor) {
+export function getMinAvgMax(arr, accessor, previous) {
   const vals = (arr || []).map((v) => Number(accessor(v) || 0));
-  if (vals.length === 0) return { min: 0, avg: 0, max: 0 };
-  let min = Number.POSITIVE_INFINITY;
-  let max = Number.NEGATIVE_INFINITY;
-  let sum = 0;
-  for (const v of vals) {
-    if (v < min) min = v;
-    if (v > max) max = v;
-    sum += v;
+  let stats = { min: 0, avg: 0, max: 0, sum: 0, count: 0 };
+  if (vals.length > 0) {
+    let min = Number.POSITIVE_INFINITY;
+    let max = Number.NEGATIVE_INFINITY;
+    let sum = 0;
+    for (const v of vals) {
+      if (v < min) min = v;
+      if (v > max) max = v;
+      sum += v;
+    }
+    stats = { min, avg: sum / vals.length, max, sum, count: vals.length };
+  }
+  if (previous === undefined) return stats;
+  const prev = getMinAvgMax(previous, accessor);
+  const change = {};
+  for (const k of ["min", "avg", "max", "sum"]) {
+    change[k] = prev.count ? percentChange(stats[k], prev[k]) : null;
   }
-  return { min, avg: sum / vals.length, max };
+  return { ...stats, previous: prev, change };
+}
+
+// PUBLIC_INTERFACE
+// percentChange
+// Percent change from previous to current, or null when previous is 0 (no base to compare).
+//
+export function percentChange(current, previous) {
+  const c = Number(current || 0);
+  const p = Number(previous || 0);
+  if (p === 0) return null;
+  return ((c - p) / Math.abs(p)) * 100;
+}
+
+// PUBLIC_INTERFACE
+// percentFmt
+// Formats a percent change as "+12.5%", "−3%" or "n/a" (null).
+//
+export function percentFmt(pct) {
+  if (pct == null || !Number.isFinite(pct)) return "n/a";
+  const abs = Math.abs(pct);
+  const text = abs.toLocaleString(undefined, { maximumFractionDigits: abs < 10 ? 1 : 0 });
+  if (pct > 0) return `+${text}%`;
+  if (pct < 0) return `−${text}%`;
+  return "0%";
 }
 
 // PUBLIC_INTERFACE
 // deltaArrow
-// Returns { delta, arrow, colorClass } where arrow is "▲"|"▼"|"–" and color classes for Ocean theme.
+// Returns { delta, percent, arrow, colorClass } where arrow is "▲"|"▼"|"–", percent the
+// percent change versus previous (null when previous is 0) and color classes for Ocean theme.
 //
 export function deltaArrow(current, previous) {
   const c = Number(current || 0);
   const p = Number(previous || 0);
   const delta = c - p;
-  if (delta > 0) return { delta, arrow: "▲", colorClass: "delta-up" };
-  if (delta < 0) return { delta, arrow: "▼", colorClass: "delta-down" };
-  return { delta: 0, arrow: "–", colorClass: "delta-flat" };
+  const percent = percentChange(c, p);
+  if (delta > 0) return { delta, percent, arrow: "▲", colorClass: "delta-up" };
+  if (delta < 0) return { delta, percent, arrow: "▼", colorClass: "delta-down" };
+  return { delta: 0, percent: p === 0 ? null : 0, arrow: "–", colorClass: "delta-flat" };
 }
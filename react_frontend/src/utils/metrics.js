@@ -0,0 +1,116 @@
+//
+// PUBLIC_INTERFACE
+// Pure helpers that fold a single live event into dashboard metric state,
+// so socket payloads can update widgets without a round trip to the backend.
+//
+import { UTC, timezoneOffsetMs, zonedParts } from "./timezone.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const WEEK_HOURS = 7 * 24;
+
+// PUBLIC_INTERFACE
+// isEventPayload
+// True when a socket payload looks like a user event ({ event_type, timestamp, ... }).
+//
+export function isEventPayload(evt) {
+  return !!evt && typeof evt === "object" && typeof evt.event_type === "string";
+}
+
+// PUBLIC_INTERFACE
+// eventKey
+// Stable identity for an event, used to de-duplicate the same event delivered
+// through several socket channels (e.g. 'new_event' and 'user_event_created').
+//
+export function eventKey(evt) {
+  if (!evt) return "";
+  if (evt._id || evt.id) return String(evt._id || evt.id);
+  return `${evt.username || ""}|${evt.event_type || ""}|${evt.timestamp || ""}`;
+}
+
+// PUBLIC_INTERFACE
+// applyEventToTypes
+// Increments the matching { event_type, count } row, appending a new row for unseen types.
+//
+export function applyEventToTypes(types, evt) {
+  const type = evt?.event_type || "unknown";
+  const list = Array.isArray(types) ? types : [];
+  let found = false;
+  const next = list.map((t) => {
+    if ((t.event_type || "unknown") !== type) return t;
+    found = true;
+    return { ...t, count: Number(t.count || 0) + 1 };
+  });
+  if (!found) next.push({ event_type: type, count: 1 });
+  return next;
+}
+
+// PUBLIC_INTERFACE
+// applyEventToHeatmap
+// Increments the day-of-week/hour bucket of the event timestamp (defaults to now) in the
+// heatmap's timezone (UTC when it has none).
+// Returns the same object when the timestamp cannot be parsed.
+//
+export function applyEventToHeatmap(heatmap, evt) {
+  const d = evt?.timestamp ? new Date(evt.timestamp) : new Date();
+  if (Number.isNaN(d.getTime())) return heatmap;
+  const { dow, hour } = zonedParts(d, heatmap?.timezone || UTC);
+  const buckets = Array.isArray(heatmap?.buckets) ? heatmap.buckets : [];
+  let found = false;
+  const next = buckets.map((b) => {
+    if (Number(b?.dow) !== dow || Number(b?.hour) !== hour) return b;
+    found = true;
+    return { ...b, count: Number(b.count || 0) + 1 };
+  });
+  if (!found) next.push({ dow, hour, count: 1 });
+  return { ...heatmap, buckets: next };
+}
+
+// PUBLIC_INTERFACE
+// realignHeatmapBuckets
+// Moves day-of-week/hour buckets counted in timezone `from` to timezone `to`, for
+// backends that ignore the requested timezone. Uses the current offset difference,
+// rounded to whole hours (half-hour zones land in the nearest hour).
+//
+export function realignHeatmapBuckets(buckets, from, to, now = Date.now()) {
+  const list = Array.isArray(buckets) ? buckets : [];
+  const shift = Math.round((timezoneOffsetMs(now, to) - timezoneOffsetMs(now, from)) / HOUR_MS);
+  if (!shift) return list;
+  return list.map((b) => {
+    const slot = (((Number(b.dow) * 24 + Number(b.hour) + shift) % WEEK_HOURS) + WEEK_HOURS) % WEEK_HOURS;
+    return { ...b, dow: Math.floor(slot / 24), hour: slot % 24 };
+  });
+}
+
+// PUBLIC_INTERFACE
+// prependRecent
+// Puts the event at the head of a newest-first list, dropping duplicates and capping the length.
+//
+export function prependRecent(list, evt, cap = 10) {
+  const key = eventKey(evt);
+  const rest = (Array.isArray(list) ? list : []).filter((e) => eventKey(e) !== key);
+  return [evt, ...rest].slice(0, cap);
+}
+
+// PUBLIC_INTERFACE
+// alignPreviousSeries
+// Adds the previous period's value to each point of `current` as `prev` (null when
+// that bucket has none). Previous points are moved forward by shiftMs (the period
+// length) and matched to the current bucket of bucketMs that they land in.
+// opts: { time: timestamp/date field, value: numeric field, shiftMs, bucketMs }.
+//
+export function alignPreviousSeries(current, previous, { time, value, shiftMs, bucketMs }) {
+  const list = Array.isArray(current) ? current : [];
+  const size = bucketMs > 0 ? bucketMs : 1;
+  const byBucket = new Map();
+  for (const p of Array.isArray(previous) ? previous : []) {
+    const t = Date.parse(p?.[time]);
+    if (Number.isNaN(t)) continue;
+    const b = Math.floor((t + shiftMs) / size);
+    byBucket.set(b, (byBucket.get(b) || 0) + Number(p[value] || 0));
+  }
+  return list.map((c) => {
+    const t = Date.parse(c?.[time]);
+    const prev = Number.isNaN(t) ? undefined : byBucket.get(Math.floor(t / size));
+    return { ...c, prev: prev == null ? null : prev };
+  });
+}
@@ -0,0 +1,41 @@
+//
+// Helpers for carrying the intended destination through the login round trip.
+// Guards pass the current router location as `state.from`; login pages turn it
+// back into a path (pathname + search + hash) and only follow it when it stays
+// inside the app and belongs to the area that login page signs into.
+//
+
+const AUTH_PAGES = ["/login", "/signup", "/admin/login", "/admin/signup"];
+
+// PUBLIC_INTERFACE
+// locationToPath
+// Serializes a router location (or a string path) into "pathname?search#hash".
+//
+export function locationToPath(loc) {
+  if (!loc) return "";
+  if (typeof loc === "string") return loc;
+  const pathname = loc.pathname || "";
+  const search = loc.search && loc.search !== "?" ? loc.search : "";
+  const hash = loc.hash && loc.hash !== "#" ? loc.hash : "";
+  return pathname ? `${pathname}${search}${hash}` : "";
+}
+
+function isAdminPath(pathname) {
+  return pathname === "/admin" || pathname.startsWith("/admin/");
+}
+
+// PUBLIC_INTERFACE
+// getRedirectTarget
+// Returns the in-app path to continue to after signing in, or the fallback.
+// `area` is 'user' or 'admin'; destinations of the other area, auth pages and
+// anything that is not a same-origin absolute path are ignored.
+//
+export function getRedirectTarget(from, fallback = "/", area = "user") {
+  const path = locationToPath(from);
+  // Only same-app absolute paths; "//host" would be protocol-relative
+  if (!path.startsWith("/") || path.startsWith("//")) return fallback;
+  const pathname = path.split(/[?#]/)[0];
+  if (AUTH_PAGES.includes(pathname)) return fallback;
+  if (isAdminPath(pathname) !== (area === "admin")) return fallback;
+  return path;
+}
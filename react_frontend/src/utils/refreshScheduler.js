@@ -0,0 +1,100 @@
+//
+// PUBLIC_INTERFACE
+// Refresh scheduler for dashboard widgets.
+// Coalesces refresh triggers that arrive within a window into a single run per
+// widget, aborts the previous in-flight request of a widget when a newer one
+// starts, and only applies the response of the latest request per widget so
+// out-of-order responses can never overwrite newer data.
+//
+
+function isAbortError(err) {
+  return err?.name === "AbortError";
+}
+
+// PUBLIC_INTERFACE
+// createRefreshScheduler
+// options:
+// - windowMs: triggers within this window are batched into one run (default 1000)
+// - tasks: { [key]: { fetch(signal) => Promise, apply(value), fail?(error) } }
+// Returns { trigger(keys?), run(keys?), setTasks(tasks), cancel() }.
+//
+export function createRefreshScheduler({ windowMs = 1000, tasks = {} } = {}) {
+  let currentTasks = tasks;
+  const pending = new Set();
+  const controllers = new Map(); // key -> AbortController of the in-flight request
+  const sequence = new Map(); // key -> id of the latest started request
+  let timer = null;
+  let waiters = [];
+
+  const resolveKeys = (keys) => (keys && keys.length ? keys : Object.keys(currentTasks));
+
+  async function runOne(key) {
+    const task = currentTasks[key];
+    if (!task) return;
+    controllers.get(key)?.abort();
+    const controller = new globalThis.AbortController();
+    controllers.set(key, controller);
+    const id = (sequence.get(key) || 0) + 1;
+    sequence.set(key, id);
+
+    const isLatest = () => sequence.get(key) === id && !controller.signal.aborted;
+    try {
+      const value = await task.fetch(controller.signal);
+      if (isLatest()) task.apply(value);
+    } catch (err) {
+      if (!isAbortError(err) && isLatest()) task.fail?.(err);
+    } finally {
+      if (controllers.get(key) === controller) controllers.delete(key);
+    }
+  }
+
+  async function flush() {
+    if (timer) {
+      globalThis.clearTimeout(timer);
+      timer = null;
+    }
+    const keys = [...pending];
+    const done = waiters;
+    pending.clear();
+    waiters = [];
+    await Promise.allSettled(keys.map(runOne));
+    done.forEach((resolve) => resolve());
+  }
+
+  return {
+    // PUBLIC_INTERFACE
+    trigger(keys) {
+      /** Queues keys (default: all tasks) for the next batched run; resolves after that run. */
+      resolveKeys(keys).forEach((k) => pending.add(k));
+      const settled = new Promise((resolve) => waiters.push(resolve));
+      if (!timer) timer = globalThis.setTimeout(flush, windowMs);
+      return settled;
+    },
+    // PUBLIC_INTERFACE
+    run(keys) {
+      /** Runs keys (default: all tasks) immediately together with anything already queued. */
+      resolveKeys(keys).forEach((k) => pending.add(k));
+      const settled = new Promise((resolve) => waiters.push(resolve));
+      flush();
+      return settled;
+    },
+    // PUBLIC_INTERFACE
+    setTasks(next) {
+      /** Replaces the task table, e.g. on each render so fetchers see current params. */
+      currentTasks = next || {};
+    },
+    // PUBLIC_INTERFACE
+    cancel() {
+      /** Drops queued triggers and aborts every in-flight request. */
+      if (timer) {
+        globalThis.clearTimeout(timer);
+        timer = null;
+      }
+      pending.clear();
+      controllers.forEach((c) => c.abort());
+      controllers.clear();
+      waiters.forEach((resolve) => resolve());
+      waiters = [];
+    },
+  };
+}
@@ -0,0 +1,192 @@
+//
+// PUBLIC_INTERFACE
+// Dashboard time ranges.
+// A time range is a compact string so it can be stored with a dashboard and
+// used as a query param as is:
+//   '<N>m' | '<N>h' | '<N>d'   relative, the last N minutes/hours/days ('15m', '7d', '90m')
+//   'today'                    since 00:00 today in the display timezone
+//   '<fromISO>..<toISO>'       absolute
+// Metrics endpoints receive relative ranges as `range` and absolute ones as
+// `from`/`to`, plus the `granularity` (minute | hour | day) chosen per widget.
+// Functions that depend on the calendar take a timezone, by default the display
+// timezone (displayTimezone.js).
+//
+import { getDisplayTimezone } from "../displayTimezone.js";
+import { startOfDay } from "./timezone.js";
+
+const UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const UNIT_LABELS = { m: ["minute", "minutes"], h: ["hour", "hours"], d: ["day", "days"] };
+const RELATIVE_RE = /^(\d{1,4})([mhd])$/;
+const ABSOLUTE_SEP = "..";
+// Finest granularity is used as long as the range stays within this many buckets
+const MAX_BUCKETS = 400;
+
+// PUBLIC_INTERFACE
+// TIME_RANGE_PRESETS
+// Quick picks offered by the time range picker.
+//
+export const TIME_RANGE_PRESETS = Object.freeze([
+  { value: "15m", label: "Last 15 minutes" },
+  { value: "1h", label: "Last hour" },
+  { value: "6h", label: "Last 6 hours" },
+  { value: "24h", label: "Last 24 hours" },
+  { value: "today", label: "Today" },
+  { value: "7d", label: "Last 7 days" },
+  { value: "14d", label: "Last 14 days" },
+  { value: "30d", label: "Last 30 days" },
+]);
+
+// PUBLIC_INTERFACE
+// DEFAULT_TIME_RANGE
+//
+export const DEFAULT_TIME_RANGE = "7d";
+
+// PUBLIC_INTERFACE
+// GRANULARITIES
+// Bucket sizes a time-series widget can be drawn at, finest first.
+//
+export const GRANULARITIES = Object.freeze(["minute", "hour", "day"]);
+const GRANULARITY_MS = { minute: UNIT_MS.m, hour: UNIT_MS.h, day: UNIT_MS.d };
+
+// PUBLIC_INTERFACE
+// granularityMs
+// Length of one bucket of a granularity in ms (0 when unknown).
+//
+export function granularityMs(granularity) {
+  return GRANULARITY_MS[granularity] || 0;
+}
+
+// PUBLIC_INTERFACE
+// parseTimeRange
+// Returns { type: 'relative', amount, unit, ms } | { type: 'today' } |
+// { type: 'absolute', from: Date, to: Date }, or null for anything invalid.
+//
+export function parseTimeRange(value) {
+  if (typeof value !== "string" || !value) return null;
+  if (value === "today") return { type: "today" };
+  const rel = RELATIVE_RE.exec(value);
+  if (rel) {
+    const amount = Number(rel[1]);
+    if (amount < 1) return null;
+    return { type: "relative", amount, unit: rel[2], ms: amount * UNIT_MS[rel[2]] };
+  }
+  const parts = value.split(ABSOLUTE_SEP);
+  if (parts.length !== 2) return null;
+  const from = new Date(parts[0]);
+  const to = new Date(parts[1]);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) return null;
+  return { type: "absolute", from, to };
+}
+
+// PUBLIC_INTERFACE
+// relativeTimeRange
+// Builds a "last N" range, e.g. relativeTimeRange(90, 'm') -> '90m'. Returns null when invalid.
+//
+export function relativeTimeRange(amount, unit) {
+  const n = Math.floor(Number(amount));
+  if (!UNIT_MS[unit] || !Number.isFinite(n) || n < 1 || n > 9999) return null;
+  return `${n}${unit}`;
+}
+
+// PUBLIC_INTERFACE
+// absoluteTimeRange
+// Builds a fixed range from two dates (or date strings). Returns null when invalid or empty.
+//
+export function absoluteTimeRange(from, to) {
+  const f = new Date(from);
+  const t = new Date(to);
+  if (Number.isNaN(f.getTime()) || Number.isNaN(t.getTime()) || f >= t) return null;
+  return `${f.toISOString()}${ABSOLUTE_SEP}${t.toISOString()}`;
+}
+
+// PUBLIC_INTERFACE
+// resolveTimeRange
+// Returns the concrete { from: Date, to: Date } of a range at `now`, or null when invalid.
+// "today" starts at midnight in `timeZone`.
+//
+export function resolveTimeRange(value, now = Date.now(), timeZone = getDisplayTimezone()) {
+  const r = parseTimeRange(value);
+  if (!r) return null;
+  if (r.type === "absolute") return { from: r.from, to: r.to };
+  const to = new Date(now);
+  if (r.type === "today") {
+    return { from: startOfDay(to, timeZone), to };
+  }
+  return { from: new Date(to.getTime() - r.ms), to };
+}
+
+// PUBLIC_INTERFACE
+// previousTimeRange
+// The equivalent period right before the range at `now`, as an absolute range
+// ("last 7 days" -> the 7 days before that; "today" -> yesterday up to the same time).
+// Null when the range is invalid.
+//
+export function previousTimeRange(value, now = Date.now(), timeZone = getDisplayTimezone()) {
+  const r = parseTimeRange(value);
+  const current = resolveTimeRange(value, now, timeZone);
+  if (!current) return null;
+  if (r.type === "today") {
+    // Yesterday's midnight in the timezone, so a DST switch does not shift it
+    const from = startOfDay(current.from.getTime() - 1, timeZone);
+    const elapsed = current.to.getTime() - current.from.getTime();
+    return absoluteTimeRange(from, from.getTime() + elapsed);
+  }
+  const shift = current.to.getTime() - current.from.getTime();
+  return absoluteTimeRange(current.from.getTime() - shift, current.to.getTime() - shift);
+}
+
+// PUBLIC_INTERFACE
+// isLiveTimeRange
+// True when the range ends "now", so live events fall inside it.
+//
+export function isLiveTimeRange(value) {
+  const r = parseTimeRange(value);
+  return !!r && r.type !== "absolute";
+}
+
+// PUBLIC_INTERFACE
+// pickGranularity
+// Chooses the finest of a widget's supported granularities that keeps the range
+// within MAX_BUCKETS buckets (else the coarsest supported). Null when the widget
+// is not a time series or the range is invalid.
+//
+export function pickGranularity(value, supported) {
+  const list = GRANULARITIES.filter((g) => (supported || []).includes(g));
+  if (!list.length) return null;
+  const range = resolveTimeRange(value);
+  if (!range) return null;
+  const duration = range.to.getTime() - range.from.getTime();
+  return list.find((g) => duration / GRANULARITY_MS[g] <= MAX_BUCKETS) || list[list.length - 1];
+}
+
+// PUBLIC_INTERFACE
+// timeRangeQuery
+// Query params for a metrics call: { range } or { from, to }, plus `granularity` when given.
+// Returns {} without a valid range so endpoints fall back to their own default.
+//
+export function timeRangeQuery(value, granularity) {
+  const r = parseTimeRange(value);
+  if (!r) return {};
+  const query = r.type === "absolute" ? { from: r.from.toISOString(), to: r.to.toISOString() } : { range: value };
+  if (granularity) query.granularity = granularity;
+  return query;
+}
+
+function formatInstant(d, timeZone) {
+  return d.toLocaleString(undefined, { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit", hourCycle: "h23", timeZone });
+}
+
+// PUBLIC_INTERFACE
+// formatTimeRange
+// Human label such as "Last 7 days", "Last 90 minutes" or "Oct 1, 09:00 – Oct 3, 18:00"
+// (absolute ranges shown in `timeZone`).
+//
+export function formatTimeRange(value, timeZone = getDisplayTimezone()) {
+  const preset = TIME_RANGE_PRESETS.find((p) => p.value === value);
+  if (preset) return preset.label;
+  const r = parseTimeRange(value);
+  if (!r) return "All time";
+  if (r.type === "absolute") return `${formatInstant(r.from, timeZone)} – ${formatInstant(r.to, timeZone)}`;
+  const [one, many] = UNIT_LABELS[r.unit];
+  return r.amount === 1 ? `Last ${one}` : `Last ${r.amount} ${many}`;
+}
@@ -0,0 +1,174 @@
+//
+// PUBLIC_INTERFACE
+// IANA timezone helpers built on Intl, for bucketing and labelling metrics in a
+// display timezone other than the browser's own.
+//
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const FALLBACK_TIMEZONES = [
+  "UTC",
+  "America/Los_Angeles",
+  "America/Denver",
+  "America/Chicago",
+  "America/New_York",
+  "America/Sao_Paulo",
+  "Europe/London",
+  "Europe/Berlin",
+  "Europe/Helsinki",
+  "Asia/Dubai",
+  "Asia/Kolkata",
+  "Asia/Singapore",
+  "Asia/Tokyo",
+  "Australia/Sydney",
+  "Pacific/Auckland",
+];
+const partsFormatters = new Map();
+
+// PUBLIC_INTERFACE
+// UTC
+//
+export const UTC = "UTC";
+
+// PUBLIC_INTERFACE
+// isValidTimezone
+// True for a timezone name Intl accepts (e.g. 'UTC', 'Europe/Berlin').
+//
+export function isValidTimezone(tz) {
+  if (typeof tz !== "string" || !tz) return false;
+  try {
+    new globalThis.Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// PUBLIC_INTERFACE
+// browserTimezone
+// The browser's own timezone, or UTC when it cannot be determined.
+//
+export function browserTimezone() {
+  try {
+    const tz = globalThis.Intl.DateTimeFormat().resolvedOptions().timeZone;
+    return isValidTimezone(tz) ? tz : UTC;
+  } catch {
+    return UTC;
+  }
+}
+
+// PUBLIC_INTERFACE
+// listTimezones
+// Timezones to choose from: UTC first, then every zone the browser knows
+// (a short list of common zones on browsers without Intl.supportedValuesOf).
+//
+export function listTimezones() {
+  let zones = FALLBACK_TIMEZONES;
+  try {
+    if (typeof globalThis.Intl.supportedValuesOf === "function") zones = globalThis.Intl.supportedValuesOf("timeZone");
+  } catch {
+    // keep the fallback list
+  }
+  return [UTC, ...zones.filter((z) => z !== UTC)];
+}
+
+function partsFormatter(tz) {
+  let fmt = partsFormatters.get(tz);
+  if (!fmt) {
+    fmt = new globalThis.Intl.DateTimeFormat("en-US", {
+      timeZone: tz,
+      hourCycle: "h23",
+      weekday: "short",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric",
+    });
+    partsFormatters.set(tz, fmt);
+  }
+  return fmt;
+}
+
+// PUBLIC_INTERFACE
+// zonedParts
+// Wall-clock fields of a date in a timezone:
+// { year, month (1-12), day, hour (0-23), minute, second, dow (0 = Sunday) }.
+//
+export function zonedParts(date, tz = UTC) {
+  const out = {};
+  for (const p of partsFormatter(tz).formatToParts(new Date(date))) {
+    if (p.type === "weekday") out.dow = WEEKDAYS[p.value];
+    else if (p.type !== "literal") out[p.type] = Number(p.value);
+  }
+  return out;
+}
+
+// PUBLIC_INTERFACE
+// timezoneOffsetMs
+// Offset of a timezone from UTC at `date` in ms (e.g. +7200000 for Berlin in summer).
+//
+export function timezoneOffsetMs(date, tz = UTC) {
+  const d = new Date(date);
+  const p = zonedParts(d, tz);
+  const wall = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return wall - (d.getTime() - d.getMilliseconds());
+}
+
+// PUBLIC_INTERFACE
+// wallTimeToDate
+// The instant at which the clock in `tz` shows the given wall time
+// ({ year, month, day, hour, minute }); month is 1-12.
+//
+export function wallTimeToDate({ year, month, day, hour = 0, minute = 0 }, tz = UTC) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  // Correct with the offset at the first guess, which differs only around DST switches
+  const guess = wall - timezoneOffsetMs(wall, tz);
+  return new Date(wall - timezoneOffsetMs(guess, tz));
+}
+
+// PUBLIC_INTERFACE
+// startOfDay
+// Midnight of the day `date` falls on in `tz`.
+//
+export function startOfDay(date, tz = UTC) {
+  const p = zonedParts(date, tz);
+  return wallTimeToDate({ year: p.year, month: p.month, day: p.day }, tz);
+}
+
+// PUBLIC_INTERFACE
+// toDateTimeInput
+// Value for <input type="datetime-local"> showing `date` in `tz` ('' without a date).
+//
+export function toDateTimeInput(date, tz = UTC) {
+  if (!date) return "";
+  const p = zonedParts(date, tz);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}`;
+}
+
+// PUBLIC_INTERFACE
+// fromDateTimeInput
+// Reads a datetime-local value ('YYYY-MM-DDTHH:mm') as a wall time in `tz`. Null when invalid.
+//
+export function fromDateTimeInput(value, tz = UTC) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/.exec(String(value || ""));
+  if (!m) return null;
+  const [year, month, day, hour, minute] = m.slice(1).map(Number);
+  const d = wallTimeToDate({ year, month, day, hour, minute }, tz);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+// PUBLIC_INTERFACE
+// formatTimezone
+// Label such as "UTC" or "Europe/Berlin (UTC+02:00)", using the offset at `date`.
+//
+export function formatTimezone(tz, date = Date.now()) {
+  if (!tz || tz === UTC) return UTC;
+  const offsetMin = Math.round(timezoneOffsetMs(date, tz) / 60000);
+  const sign = offsetMin < 0 ? "−" : "+";
+  const abs = Math.abs(offsetMin);
+  const hh = String(Math.floor(abs / 60)).padStart(2, "0");
+  const mm = String(abs % 60).padStart(2, "0");
+  return `${tz.replace(/_/g, " ")} (UTC${sign}${hh}:${mm})`;
+}
@@ -1,7 +1,6 @@
 import React, { useEffect, useMemo, useState } from "react";
 import Header from "../components/Header.jsx";
-import { adminAuthFetch } from "../adminAuth.js";
-import { authorizedFetch } from "../api.js";
+import { getQuestions, createQuestion } from "../api.js";
 
 /**
  * PUBLIC_INTERFACE
@@ -65,12 +64,7 @@ export default function Admin() {
     setLoadingList(true);
     setError("");
     try {
-      const res = await authorizedFetch("/api/questions", { method: "GET" });
-      if (!res.ok) {
-        const t = await res.text().catch(() => "");
-        throw new Error(t || `Failed to fetch questions: ${res.status}`);
-      }
-      const data = await res.json();
+      const data = await getQuestions();
       setQuestions(Array.isArray(data) ? data : []);
     } catch (e) {
       setError(e?.message || "Failed to load questions");
@@ -113,15 +107,7 @@ export default function Admin() {
         })), // A, B, C, D keys
         correctOptionIndex: Number(correctIndex),
       };
-      const res = await adminAuthFetch("/api/questions", {
-        method: "POST",
-        body: JSON.stringify(payload),
-      });
-      if (!res.ok) {
-        const t = await res.text().catch(() => "");
-        throw new Error(t || `Failed to create question: ${res.status}`);
-      }
-      await res.json().catch(() => ({}));
+      await createQuestion(payload);
       setSuccess("Question created successfully.");
       resetForm();
       // Reload list
@@ -1,11 +1,13 @@
 import React, { useEffect, useState } from "react";
 import { adminLogin } from "../adminAuth.js";
-import { useLocation } from "react-router-dom";
+import { useLocation, useNavigate } from "react-router-dom";
+import { getRedirectTarget } from "../utils/redirect.js";
 
 /**
  * PUBLIC_INTERFACE
  * AdminLogin
- * Login page for admins in a modern purple-themed card. On success, redirects to /admin.
+ * Login page for admins in a modern purple-themed card. On success, redirects to the
+ * intended admin destination (from `location.state.from`) or /admin.
  */
 export default function AdminLogin() {
   const [email, setEmail]         = useState("");
@@ -13,13 +15,14 @@ export default function AdminLogin() {
   const [submitting, setSubmitting] = useState(false);
   const [error, setError]         = useState("");
   const location = useLocation();
+  const navigate = useNavigate();
+  const [from] = useState(() => location.state?.from || null);
 
   useEffect(() => {
     if (location?.state?.error) {
       setError(location.state.error);
-      if (typeof window !== "undefined") {
-        window.history.replaceState({}, document.title);
-      }
+      // Drop the error so it does not show on revisit, but keep the destination
+      navigate(`${location.pathname}${location.search}`, { replace: true, state: from ? { from } : null });
     }
   }, [location?.state?.error]);
 
@@ -29,9 +32,7 @@ export default function AdminLogin() {
     setError("");
     try {
       await adminLogin({ email, password });
-      if (typeof window !== "undefined") {
-        window.location.href = "/admin";
-      }
+      navigate(getRedirectTarget(from, "/admin", "admin"), { replace: true });
     } catch (err) {
       setError(err?.message || "Admin login failed");
     } finally {
@@ -0,0 +1,250 @@
+import React, { useEffect, useRef, useState } from "react";
+import Header from "../components/Header.jsx";
+import { createEvent } from "../api.js";
+import {
+  DEFAULT_GENERATOR_CONFIG,
+  GENERATOR_LIMITS,
+  generateEvent,
+  normalizeGeneratorConfig,
+  parseUsernamePool,
+} from "../eventGenerator.js";
+import { numberFmt } from "../utils/format.js";
+
+// Requests allowed to be pending at once; ticks beyond it are skipped, not queued
+const MAX_IN_FLIGHT = 10;
+
+const initialWeights = () =>
+  Object.entries(DEFAULT_GENERATOR_CONFIG.typeWeights).map(([type, weight]) => ({ type, weight: String(weight) }));
+
+// Problems with the type mix rows: event types listed more than once, and a message
+// when there are duplicates or no type with a positive weight ("" when usable)
+function checkWeights(weights) {
+  const seen = new Set();
+  const duplicates = new Set();
+  let usable = false;
+  for (const w of weights) {
+    const type = w.type.trim();
+    if (!type) continue;
+    if (seen.has(type)) duplicates.add(type);
+    seen.add(type);
+    if (Number(w.weight) > 0) usable = true;
+  }
+  let error = "";
+  if (duplicates.size) error = `Each event type can be listed once: ${[...duplicates].join(", ")}`;
+  else if (!usable) error = "Give at least one event type a weight above 0";
+  return { duplicates, error };
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * EventGenerator
+ * Admin-only synthetic event generator at /admin/generator: posts events to
+ * POST /api/events at a configurable rate, with a weighted event type mix, a username
+ * pool and a time skew (see eventGenerator.js), until stopped. Shows how many events
+ * were sent, failed, or skipped because the backend fell behind. Config changes apply
+ * while running; leaving the page stops the generator. A type mix without a positive
+ * weight or with a type listed twice cannot be started; while running, the last valid
+ * mix stays in use until it is fixed.
+ */
+export default function EventGenerator() {
+  const [rate, setRate] = useState(String(DEFAULT_GENERATOR_CONFIG.ratePerSecond));
+  const [weights, setWeights] = useState(initialWeights);
+  const [usernames, setUsernames] = useState("");
+  const [skew, setSkew] = useState("0");
+  const [running, setRunning] = useState(false);
+  const [counts, setCounts] = useState({ sent: 0, failed: 0, skipped: 0 });
+  const [lastError, setLastError] = useState("");
+
+  const config = normalizeGeneratorConfig({
+    ratePerSecond: rate,
+    typeWeights: Object.fromEntries(weights.map((w) => [w.type, w.weight])),
+    usernames: parseUsernamePool(usernames),
+    skewMinutes: skew,
+  });
+  const mix = checkWeights(weights);
+  const configRef = useRef(config);
+  if (!mix.error) configRef.current = config;
+  const inFlightRef = useRef(0);
+
+  const totalWeight = Object.values(config.typeWeights).reduce((sum, w) => sum + w, 0);
+  const bump = (key) => setCounts((prev) => ({ ...prev, [key]: prev[key] + 1 }));
+
+  // One tick per event; the interval restarts when the rate changes
+  useEffect(() => {
+    if (!running) return undefined;
+    const tick = () => {
+      if (inFlightRef.current >= MAX_IN_FLIGHT) {
+        bump("skipped");
+        return;
+      }
+      inFlightRef.current += 1;
+      createEvent(generateEvent(configRef.current))
+        .then(() => bump("sent"))
+        .catch((err) => {
+          bump("failed");
+          setLastError(err?.message || "Failed to create event");
+        })
+        .finally(() => {
+          inFlightRef.current -= 1;
+        });
+    };
+    const id = setInterval(tick, 1000 / config.ratePerSecond);
+    return () => clearInterval(id);
+  }, [running, config.ratePerSecond]);
+
+  const updateWeight = (index, patch) =>
+    setWeights((prev) => prev.map((w, i) => (i === index ? { ...w, ...patch } : w)));
+
+  const start = () => {
+    if (mix.error) return;
+    setLastError("");
+    setRunning(true);
+  };
+
+  const reset = () => {
+    setCounts({ sent: 0, failed: 0, skipped: 0 });
+    setLastError("");
+  };
+
+  return (
+    <div className="app-container">
+      <Header title="Admin: Event Generator" subtitle="Emit synthetic events for demos and testing" />
+
+      <section className="grid-dashboard">
+        <div className="dash-card md-col-span-2">
+          <div className="q-head">
+            <h3 className="dash-heading">Generator</h3>
+            <div className="q-stats" role="status" aria-live="polite">
+              <span className={`stat-pill ${running ? "stat-pill--active" : ""}`}>{running ? "Running" : "Stopped"}</span>
+              <span className="stat-pill stat-pill--total">Sent: {numberFmt(counts.sent)}</span>
+              {counts.failed ? <span className="stat-pill">Failed: {numberFmt(counts.failed)}</span> : null}
+              {counts.skipped ? <span className="stat-pill">Skipped: {numberFmt(counts.skipped)}</span> : null}
+            </div>
+          </div>
+
+          {lastError ? (
+            <div className="auth-error" style={{ marginTop: 8 }} role="alert">
+              {lastError}
+            </div>
+          ) : null}
+
+          <form className="auth-form" onSubmit={(e) => e.preventDefault()} style={{ marginTop: 8 }}>
+            <div className="options-grid">
+              <label className="auth-label">
+                Rate (events per second)
+                <input
+                  type="number"
+                  className="auth-input"
+                  min={GENERATOR_LIMITS.minRate}
+                  max={GENERATOR_LIMITS.maxRate}
+                  step="0.1"
+                  value={rate}
+                  onChange={(e) => setRate(e.target.value)}
+                />
+              </label>
+              <label className="auth-label">
+                Time skew (minutes into the past)
+                <input
+                  type="number"
+                  className="auth-input"
+                  min="0"
+                  max={GENERATOR_LIMITS.maxSkewMinutes}
+                  step="1"
+                  value={skew}
+                  onChange={(e) => setSkew(e.target.value)}
+                />
+              </label>
+            </div>
+
+            <fieldset className="generator-weights">
+              <legend className="auth-label">Event type mix</legend>
+              {weights.map((w, i) => {
+                const share = config.typeWeights[w.type.trim()] ? (config.typeWeights[w.type.trim()] / totalWeight) * 100 : 0;
+                const duplicate = mix.duplicates.has(w.type.trim());
+                return (
+                  <div className="generator-weight-row" key={`weight-${i}`}>
+                    <input
+                      className={`auth-input ${duplicate ? "auth-input--error" : ""}`}
+                      placeholder="Event type"
+                      value={w.type}
+                      onChange={(e) => updateWeight(i, { type: e.target.value })}
+                      aria-label={`Event type ${i + 1}`}
+                      aria-invalid={duplicate ? "true" : "false"}
+                      aria-describedby={mix.error ? "generator-mix-error" : undefined}
+                    />
+                    <input
+                      type="number"
+                      className="auth-input"
+                      min="0"
+                      step="1"
+                      value={w.weight}
+                      onChange={(e) => updateWeight(i, { weight: e.target.value })}
+                      aria-label={`Weight of ${w.type || `event type ${i + 1}`}`}
+                    />
+                    <span className="muted generator-share">{mix.error ? "–" : `${numberFmt(share, { maximumFractionDigits: 0 })}%`}</span>
+                    <button
+                      type="button"
+                      className="btn-icon"
+                      onClick={() => setWeights((prev) => prev.filter((_, j) => j !== i))}
+                      disabled={weights.length === 1}
+                      aria-label={`Remove ${w.type || `event type ${i + 1}`}`}
+                    >
+                      ×
+                    </button>
+                  </div>
+                );
+              })}
+              <button
+                type="button"
+                className="btn-ghost"
+                onClick={() => setWeights((prev) => [...prev, { type: "", weight: "1" }])}
+              >
+                + Add type
+              </button>
+              {mix.error ? (
+                <div id="generator-mix-error" className="auth-field-error" role="alert">
+                  {mix.error}
+                  {running ? " (still sending the last valid mix)" : ""}
+                </div>
+              ) : null}
+            </fieldset>
+
+            <label className="auth-label">
+              Username pool
+              <textarea
+                className="auth-input"
+                rows={3}
+                placeholder="ada, grace, linus (empty: random user### names)"
+                value={usernames}
+                onChange={(e) => setUsernames(e.target.value)}
+              />
+            </label>
+
+            <div className="actions-row">
+              {running ? (
+                <button type="button" className="btn-primary" onClick={() => setRunning(false)}>
+                  Stop
+                </button>
+              ) : (
+                <button type="button" className="btn-primary" onClick={start} disabled={!!mix.error}>
+                  Start
+                </button>
+              )}
+              <button type="button" className="btn-ghost" onClick={reset} disabled={!counts.sent && !counts.failed && !counts.skipped}>
+                Reset count
+              </button>
+              <span className="muted">
+                {numberFmt(config.ratePerSecond)}/s · {config.usernames.length ? `${config.usernames.length} users` : "random users"}
+                {config.skewMinutes ? ` · up to ${numberFmt(config.skewMinutes)} min ago` : ""}
+              </span>
+            </div>
+          </form>
+        </div>
+      </section>
+
+      <footer className="footer">
+        <span>Ocean Professional Theme</span>
+      </footer>
+    </div>
+  );
+}
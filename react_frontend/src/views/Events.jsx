@@ -0,0 +1,192 @@
+import React, { useEffect, useState } from "react";
+import { useSearchParams } from "react-router-dom";
+import Header from "../components/Header.jsx";
+import EventsTable from "../components/EventsTable.jsx";
+import TimeRangePicker from "../components/TimeRangePicker.jsx";
+import { getEvents } from "../api.js";
+import { useDisplayTimezone, useViewTimezone } from "../displayTimezone.js";
+import {
+  describeEventFilters,
+  eventsQuery,
+  readEventFilters,
+  readEventSort,
+  toEventPage,
+  writeEventSearch,
+} from "../eventFilters.js";
+import { formatTimezone } from "../utils/timezone.js";
+import { numberFmt } from "../utils/format.js";
+
+const PAGE_SIZE = 50;
+const KNOWN_TYPES = ["click", "view", "signup"];
+
+// Text filters are applied together on submit; keyed by the applied values so they re-sync
+function FilterForm({ filters, onApply }) {
+  const [search, setSearch] = useState(filters.search || "");
+  const [username, setUsername] = useState(filters.username || "");
+  const [type, setType] = useState(filters.type || "");
+
+  const submit = (e) => {
+    e.preventDefault();
+    onApply({ search: search.trim(), username: username.trim(), type: type.trim() });
+  };
+
+  return (
+    <form className="events-filters" onSubmit={submit} role="search" aria-label="Filter events">
+      <input
+        className="layout-add events-search"
+        type="search"
+        placeholder="Search events…"
+        value={search}
+        onChange={(e) => setSearch(e.target.value)}
+        aria-label="Search events"
+      />
+      <input
+        className="layout-add"
+        placeholder="Username"
+        value={username}
+        onChange={(e) => setUsername(e.target.value)}
+        aria-label="Username"
+      />
+      <input
+        className="layout-add"
+        placeholder="Event type"
+        list="event-type-options"
+        value={type}
+        onChange={(e) => setType(e.target.value)}
+        aria-label="Event type"
+      />
+      <datalist id="event-type-options">
+        {KNOWN_TYPES.map((t) => (
+          <option key={t} value={t} />
+        ))}
+      </datalist>
+      <button className="btn-solid" type="submit">Apply</button>
+    </form>
+  );
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Events
+ * Event explorer at /events: every event, filtered, sorted and paged by the backend.
+ * - Free-text search, username, event type and timestamp range filters, plus the day
+ *   of week / hour / date set by the dashboard's drill-down links; each active filter
+ *   shows as a removable chip
+ * - Column sorting and cursor pagination (previous pages are remembered as a cursor stack)
+ * A backend without server-side filtering is flagged with a partial-results notice.
+ * Filters and sort live in the URL (see eventFilters.js), so links and back/forward
+ * restore them; changing either starts again at the first page.
+ */
+export default function Events() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const filters = readEventFilters(searchParams);
+  const sort = readEventSort(searchParams);
+  const timezone = useDisplayTimezone();
+  const listKey = new globalThis.URLSearchParams(eventsQuery(filters, { sort })).toString();
+
+  const [cursors, setCursors] = useState([null]); // cursor of each page visited so far
+  const [cursorsKey, setCursorsKey] = useState(listKey);
+  const [page, setPage] = useState({ items: [], nextCursor: null });
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState("");
+
+  // New filters or sort start from the first page
+  if (cursorsKey !== listKey) {
+    setCursorsKey(listKey);
+    setCursors([null]);
+  }
+  const cursor = cursors[cursors.length - 1];
+
+  // Day/hour/date filters are meant in the timezone of the dashboard they came from;
+  // it applies to this view only
+  useViewTimezone(filters.timezone);
+
+  useEffect(() => {
+    const ctrl = new AbortController();
+    setLoading(true);
+    setLoadError("");
+    getEvents(eventsQuery(filters, { sort, cursor, limit: PAGE_SIZE }), { signal: ctrl.signal })
+      .then((res) => {
+        setPage(toEventPage(res, { filters, sort, cursor, limit: PAGE_SIZE }));
+        setLoading(false);
+      })
+      .catch((err) => {
+        if (err?.name === "AbortError") return;
+        setLoadError(err?.message || "Failed to load events");
+        setLoading(false);
+      });
+    return () => ctrl.abort();
+  }, [listKey, cursor]);
+
+  const update = (patch) => setSearchParams(writeEventSearch(searchParams, patch));
+
+  const changeSort = (field) => {
+    const order = sort.field === field && sort.order === "desc" ? "asc" : "desc";
+    update({ sort: { field, order } });
+  };
+
+  const chips = describeEventFilters(filters);
+
+  return (
+    <div className="app-container">
+      <Header title="Event Explorer" subtitle="Search, filter and page through every event" />
+
+      <div className="layout-bar" role="toolbar" aria-label="Event filters">
+        <FilterForm
+          key={`${filters.search || ""}|${filters.username || ""}|${filters.type || ""}`}
+          filters={filters}
+          onApply={update}
+        />
+        <TimeRangePicker value={filters.timeRange || null} onChange={(timeRange) => update({ timeRange })} />
+        <span className="layout-bar-spacer" />
+        <span className="muted">Times in {formatTimezone(timezone)}</span>
+      </div>
+
+      {chips.length ? (
+        <div className="layout-bar" aria-label="Active filters">
+          {chips.map((c) => (
+            <span key={c.key} className="filter-chip">
+              {c.label}
+              <button className="filter-chip-remove" onClick={() => update({ [c.key]: null })} aria-label={`Remove filter ${c.label}`}>
+                ×
+              </button>
+            </span>
+          ))}
+          <button
+            className="btn-ghost"
+            onClick={() => update(Object.fromEntries(chips.map((c) => [c.key, null])))}
+          >
+            Clear all
+          </button>
+        </div>
+      ) : null}
+
+      {loadError ? <div className="auth-error" role="alert">{loadError}</div> : null}
+      {page.partial && !loading ? (
+        <div className="events-partial" role="note">
+          Partial, unfiltered results: the server sent {numberFmt(page.received)} events without applying the
+          filters or sort, so they were applied here to those events only and matching events may be missing.
+        </div>
+      ) : null}
+      <EventsTable
+        events={page.items}
+        title={chips.length ? "Matching events" : "All events"}
+        emptyText={loading ? "Loading events…" : chips.length ? "No events match these filters." : "No events yet."}
+        sort={sort}
+        onSortChange={changeSort}
+        pagination={{
+          page: cursors.length,
+          hasPrev: cursors.length > 1,
+          hasNext: !!page.nextCursor,
+          onPrev: () => setCursors((prev) => prev.slice(0, -1)),
+          onNext: () => setCursors((prev) => [...prev, page.nextCursor]),
+          loading,
+        }}
+      />
+
+      <footer className="footer">
+        <span>Ocean Professional Theme</span>
+      </footer>
+    </div>
+  );
+}
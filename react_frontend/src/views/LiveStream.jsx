@@ -0,0 +1,194 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import Header from "../components/Header.jsx";
+import VirtualList from "../components/VirtualList.jsx";
+import { useSocketEvent } from "../realtime.jsx";
+import { numberFmt as nf, timeFmt } from "../utils/format.js";
+import { eventKey, isEventPayload } from "../utils/metrics.js";
+
+// Rows kept in memory; older ones are dropped
+const MAX_ROWS = 5000;
+// Events arriving within this window are rendered in one update
+const FLUSH_MS = 200;
+const ROW_HEIGHT = 36;
+const LIST_HEIGHT = 560;
+const SEEN_EVENTS_CAP = 2000;
+const BASE_FIELDS = ["_id", "id", "__v", "username", "event_type", "timestamp"];
+
+// Fields beyond the basics, as a compact "key=value" line
+function extraFields(evt) {
+  return Object.entries(evt)
+    .filter(([k]) => !BASE_FIELDS.includes(k))
+    .map(([k, v]) => `${k}=${typeof v === "object" ? JSON.stringify(v) : String(v)}`)
+    .join(" ");
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * LiveStream
+ * "tail -f" view of live events from the shared socket ('new_event', de-duplicated
+ * against 'user_event_created'), newest first:
+ * - keeps the last MAX_ROWS events in a virtualized list
+ * - Pause holds new events in a buffer ("N new events"); Resume shows them
+ * - filter chips per event type hide or show that type (counts over the kept rows)
+ */
+export default function LiveStream() {
+  const [rows, setRows] = useState([]);
+  const [paused, setPaused] = useState(false);
+  const [bufferedCount, setBufferedCount] = useState(0);
+  const [hiddenTypes, setHiddenTypes] = useState(() => new Set());
+  const [received, setReceived] = useState(0);
+
+  const pausedRef = useRef(false);
+  pausedRef.current = paused;
+  const pendingRef = useRef([]); // arrived since the last flush, oldest first
+  const bufferRef = useRef([]); // held while paused, oldest first
+  const timerRef = useRef(null);
+  const seenRef = useRef(new Set());
+  const seqRef = useRef(0); // row keys; events may lack an id
+
+  const show = (batch) => {
+    if (!batch.length) return;
+    setRows((prev) => [...batch.slice().reverse(), ...prev].slice(0, MAX_ROWS));
+  };
+
+  const flush = () => {
+    timerRef.current = null;
+    const batch = pendingRef.current;
+    pendingRef.current = [];
+    setReceived((n) => n + batch.length);
+    if (pausedRef.current) {
+      bufferRef.current = [...bufferRef.current, ...batch].slice(-MAX_ROWS);
+      setBufferedCount(bufferRef.current.length);
+    } else {
+      show(batch);
+    }
+  };
+
+  useEffect(() => () => globalThis.clearTimeout(timerRef.current), []);
+
+  const onEvent = (evt) => {
+    if (!isEventPayload(evt)) return;
+    const key = eventKey(evt);
+    const seen = seenRef.current;
+    if (seen.has(key)) return;
+    seen.add(key);
+    if (seen.size > SEEN_EVENTS_CAP) seen.delete(seen.values().next().value);
+    pendingRef.current.push({ ...evt, _streamKey: ++seqRef.current });
+    if (!timerRef.current) timerRef.current = globalThis.setTimeout(flush, FLUSH_MS);
+  };
+  useSocketEvent("new_event", onEvent);
+  useSocketEvent("user_event_created", onEvent);
+
+  const resume = () => {
+    show(bufferRef.current);
+    bufferRef.current = [];
+    setBufferedCount(0);
+    setPaused(false);
+  };
+
+  const clear = () => {
+    setRows([]);
+    pendingRef.current = [];
+    bufferRef.current = [];
+    setBufferedCount(0);
+  };
+
+  const toggleType = (type) =>
+    setHiddenTypes((prev) => {
+      const next = new Set(prev);
+      if (next.has(type)) next.delete(type);
+      else next.add(type);
+      return next;
+    });
+
+  const typeCounts = useMemo(() => {
+    const counts = new Map();
+    for (const r of rows) {
+      const t = r.event_type || "unknown";
+      counts.set(t, (counts.get(t) || 0) + 1);
+    }
+    return [...counts.entries()].sort((a, b) => b[1] - a[1]);
+  }, [rows]);
+
+  const visible = useMemo(
+    () => (hiddenTypes.size ? rows.filter((r) => !hiddenTypes.has(r.event_type || "unknown")) : rows),
+    [rows, hiddenTypes]
+  );
+
+  return (
+    <div className="app-container">
+      <Header title="Live Stream" subtitle="Every event as it arrives" />
+
+      <div className="layout-bar" role="toolbar" aria-label="Stream controls">
+        {paused ? (
+          <button className="btn-solid" onClick={resume}>▶ Resume</button>
+        ) : (
+          <button className="btn-ghost" onClick={() => setPaused(true)}>⏸ Pause</button>
+        )}
+        {paused && bufferedCount > 0 ? (
+          <button className="btn-ghost stream-buffered" onClick={resume} aria-live="polite">
+            {nf(bufferedCount)} new event{bufferedCount === 1 ? "" : "s"}
+          </button>
+        ) : null}
+        <button className="btn-ghost" onClick={clear} disabled={!rows.length && !bufferedCount}>Clear</button>
+        <span className="layout-bar-spacer" />
+        <span className="muted" role="status">
+          {nf(visible.length)} shown · {nf(rows.length)} kept · {nf(received)} received
+        </span>
+      </div>
+
+      {typeCounts.length ? (
+        <div className="layout-bar" role="group" aria-label="Event types">
+          {typeCounts.map(([type, count]) => {
+            const on = !hiddenTypes.has(type);
+            return (
+              <button
+                key={type}
+                className={`filter-chip stream-chip ${on ? "active" : ""}`}
+                onClick={() => toggleType(type)}
+                aria-pressed={on}
+              >
+                <span className={`pill pill-${type.toLowerCase()}`}>{type}</span>
+                <span className="muted">{nf(count)}</span>
+              </button>
+            );
+          })}
+          {hiddenTypes.size ? (
+            <button className="btn-ghost" onClick={() => setHiddenTypes(new Set())}>Show all</button>
+          ) : null}
+        </div>
+      ) : null}
+
+      <div className="dash-card dash-card--tight stream-card">
+        {visible.length === 0 ? (
+          <div className="empty-state" role="status" aria-live="polite">
+            <span className="empty-icon" aria-hidden="true">ⓘ</span>
+            <span>{rows.length ? "No events of the selected types." : "Waiting for events…"}</span>
+          </div>
+        ) : (
+          <VirtualList
+            items={visible}
+            rowHeight={ROW_HEIGHT}
+            height={LIST_HEIGHT}
+            getKey={(e) => e._streamKey}
+            aria-label="Live events, newest first"
+            renderRow={(e) => (
+              <div className="stream-row">
+                <span className="stream-time">
+                  {e.timestamp ? timeFmt(e.timestamp, { hour: "2-digit", minute: "2-digit", second: "2-digit" }) : "-"}
+                </span>
+                <span className={`pill pill-${(e.event_type || "unknown").toLowerCase()}`}>{e.event_type || "unknown"}</span>
+                <span className="stream-user">{e.username || "-"}</span>
+                <span className="stream-extra muted">{extraFields(e)}</span>
+              </div>
+            )}
+          />
+        )}
+      </div>
+
+      <footer className="footer">
+        <span>Ocean Professional Theme</span>
+      </footer>
+    </div>
+  );
+}
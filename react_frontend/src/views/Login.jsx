@@ -1,11 +1,13 @@
 import React, { useEffect, useState, useCallback } from "react";
 import { login } from "../auth.js";
 import { useLocation, useNavigate } from "react-router-dom";
+import { getRedirectTarget } from "../utils/redirect.js";
 
 /**
  * PUBLIC_INTERFACE
  * Login
- * Login page for existing users. On success, redirects to dashboard or intended destination.
+ * Login page for existing users. On success, redirects to the intended destination
+ * (full path, query string and hash from `location.state.from`) or the dashboard.
  * Uses large centered card with modern blue theme and smooth transitions.
  */
 export default function Login() {
@@ -22,17 +24,17 @@ export default function Login() {
 
   const location = useLocation();
   const navigate = useNavigate();
-  const from = location.state?.from?.pathname || "/dashboard";
+  // Captured once so it survives the state cleanup below
+  const [from] = useState(() => location.state?.from || null);
+  const redirectTo = getRedirectTarget(from, "/", "user");
 
   // Clear location state error on component mount
   useEffect(() => {
     const locationError = location?.state?.error;
     if (locationError) {
       setError(locationError);
-      // Clean up the location state to prevent showing error on revisit
-      if (typeof window !== "undefined") {
-        window.history.replaceState({}, document.title);
-      }
+      // Drop the error so it does not show on revisit, but keep the destination
+      navigate(`${location.pathname}${location.search}`, { replace: true, state: from ? { from } : null });
     }
   }, [location?.state?.error]);
 
@@ -85,7 +87,7 @@ export default function Login() {
 
     try {
       await login({ email: formData.email, password: formData.password });
-      navigate(from, { replace: true });
+      navigate(redirectTo, { replace: true });
     } catch (err) {
       const errorMessage =
         err?.message || "Login failed. Please check your credentials.";
@@ -1,9 +1,18 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useEffect, useMemo, useState } from "react";
 import { PieChart, Pie, Cell, Tooltip, ResponsiveContainer, Legend } from "recharts";
 import Header from "../components/Header.jsx";
-import { getQuestions, submitAnswer, getSocketUrl } from "../api.js";
+import { getQuestions, submitAnswer } from "../api.js";
 import { getStoredUser } from "../auth.js";
-import { io } from "socket.io-client";
+import { useSocketEvent, useReconnect } from "../realtime.jsx";
+
+// Option counts embedded by the backend, keyed by question id.
+function embeddedCounts(list) {
+  const out = {};
+  for (const q of list) {
+    if (Array.isArray(q.optionCounts)) out[q._id || q.id || q.text] = q.optionCounts;
+  }
+  return out;
+}
 
 /**
  * PUBLIC_INTERFACE
@@ -14,6 +23,7 @@ import { io } from "socket.io-client";
  * - After submitting, shows inline Correct/Wrong feedback
  * - Displays a donut chart with per-option distribution including counts and percentages
  * - Subscribes to Socket.io for real-time updates without altering existing backend behavior
+ * - Re-fetches questions and counts after the socket reconnects
  */
 export default function Questions() {
   const [questions, setQuestions] = useState([]);
@@ -23,7 +33,6 @@ export default function Questions() {
   const [submitting, setSubmitting] = useState({}); // { [question_id]: boolean }
   const [feedback, setFeedback] = useState({}); // { [question_id]: 'correct' | 'wrong' | 'error' }
   const [counts, setCounts] = useState({}); // { [question_id]: number[] }
-  const socketRef = useRef(null);
 
   // Fetch questions
   useEffect(() => {
@@ -37,10 +46,7 @@ export default function Questions() {
         const list = Array.isArray(data) ? data : [];
         setQuestions(list);
         // Initialize counts if backend embeds, else leave undefined and wait for socket/submit echoes
-        const initialCounts = {};
-        for (const q of list) {
-          if (Array.isArray(q.optionCounts)) initialCounts[q._id || q.id || q.text] = q.optionCounts;
-        }
+        const initialCounts = embeddedCounts(list);
         setCounts((prev) => ({ ...initialCounts, ...prev }));
       } catch (e) {
         if (active) setLoadError(e?.message || "Failed to load questions");
@@ -53,61 +59,44 @@ export default function Questions() {
     };
   }, []);
 
-  // Connect Socket.io for real-time updates
-  useEffect(() => {
-    const socketURL = getSocketUrl();
-    try {
-      const s = io(socketURL, {
-        path: "/socket.io",
-        transports: ["websocket", "polling"],
-        withCredentials: true,
-      });
-      socketRef.current = s;
-
-      // 'new_answer' payload shape expected: { question_id, selectedOptionIndex, ... }
-      s.on("new_answer", (payload) => {
-        if (!payload || !payload.question_id || typeof payload.selectedOptionIndex !== "number") return;
-        const qid = payload.question_id;
-        setCounts((prev) => {
-          const existing = prev[qid];
-          // If we don't yet know option count length, try to infer from question
-          const question = questions.find((q) => (q._id || q.id || q.text) === qid);
-          const len = existing?.length ?? (question?.options?.length || 0);
-          if (len <= 0) return prev;
-          const next = existing ? [...existing] : new Array(len).fill(0);
-          const idx = payload.selectedOptionIndex;
-          if (idx >= 0 && idx < len) next[idx] += 1;
-          return { ...prev, [qid]: next };
-        });
-      });
-
-      // Optional aggregate push event from backend
-      s.on("metrics_update", (msg) => {
-        // Accept shape: { type: 'question_counts', question_id, counts: number[] }
-        if (msg?.type === "question_counts" && msg?.question_id && Array.isArray(msg.counts)) {
-          setCounts((prev) => ({ ...prev, [msg.question_id]: msg.counts }));
-        }
+  // Re-sync after a reconnect: server counts replace anything missed while offline
+  useReconnect(() => {
+    getQuestions()
+      .then((data) => {
+        const list = Array.isArray(data) ? data : [];
+        setQuestions(list);
+        setCounts((prev) => ({ ...prev, ...embeddedCounts(list) }));
+      })
+      .catch(() => {
+        // keep current data; the next reconnect or reload will retry
       });
+  });
 
-      s.on("connect_error", (err) => {
-        // eslint-disable-next-line no-console
-        console.warn("Socket connect_error", err?.message);
-      });
+  // Real-time updates via the shared socket
+  // 'new_answer' payload shape expected: { question_id, selectedOptionIndex, ... }
+  useSocketEvent("new_answer", (payload) => {
+    if (!payload || !payload.question_id || typeof payload.selectedOptionIndex !== "number") return;
+    const qid = payload.question_id;
+    setCounts((prev) => {
+      const existing = prev[qid];
+      // If we don't yet know option count length, try to infer from question
+      const question = questions.find((q) => (q._id || q.id || q.text) === qid);
+      const len = existing?.length ?? (question?.options?.length || 0);
+      if (len <= 0) return prev;
+      const next = existing ? [...existing] : new Array(len).fill(0);
+      const idx = payload.selectedOptionIndex;
+      if (idx >= 0 && idx < len) next[idx] += 1;
+      return { ...prev, [qid]: next };
+    });
+  });
 
-      return () => {
-        try {
-          s.removeAllListeners();
-          s.disconnect();
-        } catch {
-          // ignore
-        }
-      };
-    } catch (e) {
-      // eslint-disable-next-line no-console
-      console.warn("Failed to initialize socket", e);
-      return () => {};
+  // Optional aggregate push event from backend
+  useSocketEvent("metrics_update", (msg) => {
+    // Accept shape: { type: 'question_counts', question_id, counts: number[] }
+    if (msg?.type === "question_counts" && msg?.question_id && Array.isArray(msg.counts)) {
+      setCounts((prev) => ({ ...prev, [msg.question_id]: msg.counts }));
     }
-  }, [questions]);
+  });
 
   const user = getStoredUser();
 
@@ -0,0 +1,304 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { useSearchParams } from "react-router-dom";
+import {
+  ResponsiveContainer,
+  AreaChart,
+  Area,
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  PieChart,
+  Pie,
+  Cell,
+  Legend,
+} from "recharts";
+import ConnectionStatus from "../components/ConnectionStatus.jsx";
+import { WIDGET_REGISTRY, getWidget } from "../components/widgets/registry.js";
+import { rangeLabel, timezoneLabel } from "../components/widgets/shared.jsx";
+import { useDashboardData } from "../dashboardData.js";
+import { getDisplayToken } from "../displayMode.js";
+import { useSession } from "../session.js";
+import { numberFmt as nf, dateFmtYMD, timeFmt } from "../utils/format.js";
+import { DEFAULT_TIME_RANGE, parseTimeRange } from "../utils/timeRange.js";
+
+const DEFAULT_PER_PAGE = 2;
+const DEFAULT_ROTATE_S = 20;
+const MIN_ROTATE_S = 5;
+const RECENT_ROWS = 6;
+const DAY_LABELS = ["Su", "Mo", "Tu", "We", "Th", "Fr", "Sa"];
+const COLORS = [
+  "var(--chart-palette-1)",
+  "var(--chart-palette-2)",
+  "var(--chart-palette-3)",
+  "var(--chart-palette-4)",
+  "var(--chart-palette-5)",
+  "var(--chart-palette-6)",
+  "var(--chart-palette-7)",
+  "var(--chart-palette-8)",
+];
+
+function EmptyState() {
+  return (
+    <div className="empty-state" role="status">
+      <span className="empty-icon" aria-hidden="true">ⓘ</span>
+      <span>No data yet</span>
+    </div>
+  );
+}
+
+// Large-type, non-interactive renderings of the dashboard widgets, by registry id;
+// titles come from the registry and the wallboard's time range
+const WIDGETS = {
+  total: {
+    render: (d) => <div className="wb-number">{nf(d.totalEvents)}</div>,
+  },
+  usersToday: {
+    render: (d) => (
+      <>
+        <div className="wb-number">{nf(d.usersAnsweredToday?.total || 0)}</div>
+        <div className="wb-chart wb-chart--short">
+          {d.usersAnsweredSeries.length ? (
+            <ResponsiveContainer width="100%" height="100%">
+              <AreaChart data={d.usersAnsweredSeries}>
+                <Area type="monotone" dataKey="value" stroke="var(--color-secondary)" fill="var(--color-secondary)" fillOpacity={0.15} strokeWidth={3} isAnimationActive={false} />
+              </AreaChart>
+            </ResponsiveContainer>
+          ) : null}
+        </div>
+      </>
+    ),
+  },
+  activeUsers: {
+    render: (d) => {
+      const series = d.activeUsersData;
+      const latest = series.length ? Number(series[series.length - 1].count || 0) : 0;
+      return (
+        <>
+          <div className="wb-number">{nf(latest)}</div>
+          <div className="wb-chart wb-chart--short">
+            {series.length ? (
+              <ResponsiveContainer width="100%" height="100%">
+                <AreaChart data={series}>
+                  <Area type="monotone" dataKey="count" stroke="#2563EB" fill="#2563EB" fillOpacity={0.15} strokeWidth={3} isAnimationActive={false} />
+                </AreaChart>
+              </ResponsiveContainer>
+            ) : null}
+          </div>
+        </>
+      );
+    },
+  },
+  types: {
+    render: (d) =>
+      d.donutData.length === 0 ? (
+        <EmptyState />
+      ) : (
+        <div className="wb-chart">
+          <ResponsiveContainer width="100%" height="100%">
+            <PieChart>
+              <Pie data={d.donutData} dataKey="value" nameKey="name" innerRadius="45%" outerRadius="75%" paddingAngle={2} isAnimationActive={false}>
+                {d.donutData.map((entry, idx) => (
+                  <Cell key={entry.name} fill={COLORS[idx % COLORS.length]} />
+                ))}
+              </Pie>
+              <Legend
+                verticalAlign="bottom"
+                formatter={(value, entry) => `${value} · ${nf(entry?.payload?.value || 0)}`}
+                wrapperStyle={{ fontSize: 22 }}
+              />
+            </PieChart>
+          </ResponsiveContainer>
+        </div>
+      ),
+  },
+  heatmap: {
+    detail: (d) => timezoneLabel(d),
+    render: (d) => (
+      <div className="heatmap-grid-wrapper wb-heatmap">
+        <div className="heatmap-grid">
+          <div className="heatmap-header" />
+          {Array.from({ length: 24 }).map((_, h) => (
+            <div key={`h-${h}`} className="heatmap-header">{h % 3 === 0 ? h : ""}</div>
+          ))}
+          {DAY_LABELS.map((label, day) => (
+            <React.Fragment key={label}>
+              <div className="heatmap-header">{label}</div>
+              {Array.from({ length: 24 }).map((_, h) => {
+                const val = d.heatmapMatrix?.[day]?.[h] ?? 0;
+                const intensity = Math.min(1, val / 10);
+                return (
+                  <div
+                    key={`c-${day}-${h}`}
+                    className="heatmap-cell"
+                    style={{ background: val === 0 ? "#eef2ff" : `rgba(37,99,235,${0.1 + intensity * 0.5})` }}
+                  />
+                );
+              })}
+            </React.Fragment>
+          ))}
+        </div>
+      </div>
+    ),
+  },
+  signups: {
+    render: (d) =>
+      d.signupsData.length === 0 ? (
+        <EmptyState />
+      ) : (
+        <div className="wb-chart">
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={d.signupsData} margin={{ top: 10, right: 10, left: 10, bottom: 0 }}>
+              <XAxis dataKey="date" tickFormatter={dateFmtYMD} tick={{ fontSize: 18 }} stroke="var(--chart-axis-stroke)" />
+              <YAxis allowDecimals={false} tickFormatter={nf} tick={{ fontSize: 18 }} stroke="var(--chart-axis-stroke)" width={60} />
+              <Bar dataKey="count" fill="var(--chart-palette-1)" radius={[8, 8, 0, 0]} isAnimationActive={false} />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      ),
+  },
+  recent: {
+    render: (d) =>
+      d.recentActivity.length === 0 ? (
+        <EmptyState />
+      ) : (
+        <ul className="wb-list">
+          {d.recentActivity.slice(0, RECENT_ROWS).map((e, idx) => (
+            <li key={e._id || `${e.username}-${e.timestamp}-${idx}`}>
+              <span className="wb-list-main">{e.username || "-"}</span>
+              <span className={`pill pill-${(e.event_type || "unknown").toLowerCase()}`}>{e.event_type}</span>
+              <span className="wb-list-time">
+                {e.timestamp ? timeFmt(e.timestamp, { hour: "2-digit", minute: "2-digit", second: "2-digit" }) : "-"}
+              </span>
+            </li>
+          ))}
+        </ul>
+      ),
+  },
+};
+
+// Registry order, like a fresh dashboard
+const DEFAULT_WIDGETS = WIDGET_REGISTRY.map((w) => w.id).filter((id) => WIDGETS[id]);
+
+function parseWidgets(value) {
+  const requested = String(value || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter((k) => DEFAULT_WIDGETS.includes(k));
+  return requested.length ? requested : DEFAULT_WIDGETS;
+}
+
+function clampInt(value, fallback, min, max) {
+  const n = parseInt(value, 10);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.max(min, Math.min(max, n));
+}
+
+function Clock() {
+  const [now, setNow] = useState(() => new Date());
+  useEffect(() => {
+    const t = setInterval(() => setNow(new Date()), 1000);
+    return () => clearInterval(t);
+  }, []);
+  return <span className="wb-clock">{timeFmt(now, { hour: "2-digit", minute: "2-digit" })}</span>;
+}
+
+function Board({ auth, range, widgets, perPage, rotateMs }) {
+  const filters = useMemo(() => ({ timeRange: range, compare: false }), [range]);
+  const data = useDashboardData({ auth, filters });
+  const pages = useMemo(() => {
+    const out = [];
+    for (let i = 0; i < widgets.length; i += perPage) out.push(widgets.slice(i, i + perPage));
+    return out;
+  }, [widgets, perPage]);
+  const [page, setPage] = useState(0);
+
+  useEffect(() => {
+    if (pages.length < 2) return undefined;
+    const t = setInterval(() => setPage((p) => (p + 1) % pages.length), rotateMs);
+    return () => clearInterval(t);
+  }, [pages.length, rotateMs]);
+
+  const current = pages[page % pages.length] || [];
+  const errorList = Object.values(data.errors);
+
+  return (
+    <div className="wallboard">
+      <div className="wb-top">
+        <span className="wb-brand">🌊 Ocean Analytics</span>
+        <div className="wb-top-right">
+          <ConnectionStatus />
+          <Clock />
+        </div>
+      </div>
+
+      <main className={`wb-page wb-cols-${current.length}`} key={page} aria-live="polite">
+        {current.map((key) => {
+          const { render, detail } = WIDGETS[key];
+          const label = [getWidget(key).title, rangeLabel(data), detail?.(data)].filter(Boolean).join(" · ");
+          return (
+            <section key={key} className="wb-card" aria-label={label}>
+              <h2 className="wb-title">{label}</h2>
+              {data.loading ? <div className="skeleton skeleton-text">Loading…</div> : render(data)}
+            </section>
+          );
+        })}
+      </main>
+
+      <div className="wb-bottom">
+        {errorList.length ? <span className="wb-error">{errorList.join(" • ")}</span> : <span />}
+        {pages.length > 1 ? (
+          <span className="wb-dots" aria-label={`Page ${page + 1} of ${pages.length}`}>
+            {pages.map((_, i) => (
+              <span key={i} className={`wb-dot ${i === page ? "active" : ""}`} />
+            ))}
+          </span>
+        ) : null}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * PUBLIC_INTERFACE
+ * Wallboard
+ * Kiosk rendering of the metrics dashboard for office TVs, at /wallboard or at
+ * /?kiosk=1. No header, controls or scrolling: the chosen widgets
+ * are shown full-screen in large type and rotate in pages on a timer.
+ * URL params:
+ * - widgets: comma list of widget ids (components/widgets/registry.js): total, types, usersToday,
+ *   heatmap, signups, activeUsers, recent; default all of them in registry order
+ * - range: time range every widget covers (utils/timeRange.js), default DEFAULT_TIME_RANGE
+ * - perPage: widgets per page (1-4, default 2)
+ * - rotate: seconds per page (min 5, default 20)
+ * - token: read-only display token, stored and removed from the URL at boot (see displayMode.js)
+ * Uses the display token when present, otherwise the signed-in session.
+ */
+export default function Wallboard() {
+  const [params] = useSearchParams();
+  const session = useSession();
+  const displayToken = getDisplayToken();
+  const auth = displayToken ? "display" : session ? "session" : null;
+
+  const widgetsParam = params.get("widgets");
+  const widgets = useMemo(() => parseWidgets(widgetsParam), [widgetsParam]);
+  const rangeParam = params.get("range");
+  const range = parseTimeRange(rangeParam) ? rangeParam : DEFAULT_TIME_RANGE;
+  const perPage = clampInt(params.get("perPage"), DEFAULT_PER_PAGE, 1, 4);
+  const rotateMs = clampInt(params.get("rotate"), DEFAULT_ROTATE_S, MIN_ROTATE_S, 3600) * 1000;
+
+  if (!auth) {
+    return (
+      <div className="auth-container">
+        <div className="auth-card" role="alert">
+          <h2 className="auth-title">Display not configured</h2>
+          <p className="auth-subtitle">
+            Open this page once with a display token, e.g. /wallboard?token=&lt;display token&gt;,
+            or set `displayToken` in the runtime config.
+          </p>
+        </div>
+      </div>
+    );
+  }
+  return <Board auth={auth} range={range} widgets={widgets} perPage={perPage} rotateMs={rotateMs} />;
+}